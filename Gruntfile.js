@@ -25,17 +25,41 @@
  * Examples:
  *     $ grunt build      # builds project to the build/ subdirectory
  *
- *     $ grunt deploy     # builds project and sends new version to GAE
+ *     $ grunt deploy     # builds project, smoke tests it, and sends new
+ *                        # version to GAE
+ *
+ *     $ grunt smoke      # requests every page, asset, and API endpoint
+ *                        # from the (already built) site to check responses
+ *
+ *     $ grunt keys:status  # lists where each API key comes from (e.g. an
+ *                          # environment variable) w/o showing its value
+ *
+ *     $ grunt build bundle  # builds project and then copies the pages into
+ *                           # bundle/ for viewing offline (e.g. in the add-on)
+ *
+ *     $ grunt versions   # lists deployed versions and their share of traffic
+ *
+ *     $ grunt promote    # sends all traffic to the version deployed from the
+ *                        # current checkout (or `--split=10` for just 10%)
+ *
+ *     $ grunt rollback   # sends all traffic back to the previous version
+ *
+ *     $ grunt prune      # deletes all but the newest 5 idle versions
  *
  *     $ grunt run        # builds project and then runs the GAE SDK server
  *                        # with its logging output sent to the console
  *
+ *     $ grunt serve      # builds project and then runs a Node server that
+ *                        # emulates the app.yaml routing (no GAE SDK needed)
+ *
  *     $ grunt watch      # monitors file system to automatically rebuild the
  *                        # project as needed (but does NOT do initial build)
  *
  *     $ grunt run watch  # combines the above two, but the GAE SDK server is
  *                        # backgrounded, so only watch activity is visible
  *
+ *     $ grunt serve watch  # same as above, but with the Node server instead
+ *
  *     $ grunt clean      # removes the contents of build/ subdirectory
  */
 
@@ -48,6 +72,9 @@ module.exports = function (grunt) {
 
     var doWatch = grunt.cli.tasks.indexOf('watch') !== -1;
 
+    // n.b. when deploying, invalid documents stop `validate` even w/ --force
+    var IS_DEPLOY = grunt.cli.tasks.indexOf('deploy') !== -1;
+
     // By default, the `gae:update` task uses `gcloud app deploy` directly
     // rather than using `appcfg.py update` via the `grunt-gae` module. If you
     // do have the older Google App Engine SDK w/ `appcfg.py` installed and
@@ -55,64 +82,717 @@ module.exports = function (grunt) {
     // running `grunt deploy`.
     var USE_GCLOUD_DEPLOYMENT = !grunt.option('no-gcloud');
 
-    var SITEMAP = (function getSubtree(nodes, urlBase, parent) {
-        var prev;
+    // Deploying and the version lifecycle tasks (`versions`, `promote`,
+    // `rollback`, and `prune`) run the `gcloud` CLI, which can be swapped for
+    // a local stand-in with `--gcloud-bin=...`. With `--dry-run`, commands
+    // that would change anything on App Engine are printed instead of run.
+    var GCLOUD_BIN = String(grunt.option('gcloud-bin') || 'gcloud');
+    var GCLOUD_PROJECT = 'ankiatts';
+    var DRY_RUN = Boolean(grunt.option('dry-run'));
+
+    // Absolute URLs (e.g. in sitemap.xml) are built from this origin, which
+    // can be overridden with `--site-url=...` when testing a staged version.
+    var SITE_URL = String(grunt.option('site-url') ||
+        'https://ankiatts.appspot.com').replace(/\/+$/, '');
+
+    // Update responses are built from the releases listed in releases.json,
+    // which `--releases=...` can swap out, e.g. for releases.example.json,
+    // whose made-up history covers the corner cases of Anki series ranges
+    // (run `grunt build smoke --releases=releases.example.json`).
+    var RELEASES = String(grunt.option('releases') || 'releases.json');
+
+    // The static API responses, w/o the JSON Schemas kept next to them (see
+    // the `openapi` task), which are not served themselves
+    var API_FILES = ['api/**/*.json', '!api/**/*.schema.json'];
+
+    // Besides English, the site is rendered into a /<code>/ tree for each
+    // locale in locales.json (e.g. `{"es": {"lang": "es", "name": "..."}}`).
+    // Templates under l10n/<code>/, laid out like those under pages/, take
+    // the place of the English ones wherever they exist, and their front
+    // matter can give that locale's title, terse, and what text. The rest
+    // fall back to English, which is marked as such on the page. As none
+    // are listed yet, `--locales=locales.example.json` tries this w/ the
+    // Spanish home page under l10n/es/.
+    var LOCALES_FILE = String(grunt.option('locales') || 'locales.json');
+    var LOCALES = grunt.file.readJSON(LOCALES_FILE);
+    var LOCALE_DEFAULT = {lang: 'en-US', name: "English"};
+
+    var getLocale = function (code) {
+        return code ? LOCALES[code] : LOCALE_DEFAULT;
+    };
 
-        return Object.keys(nodes).map(function (slug) {
-            var node = nodes[slug];
-            var href = [urlBase, slug].join('/');
-            var isObject = typeof node === 'object';
-            var result = {
-                me: {
-                    href: href,
-                    slug: slug,
-                    terse: String(isObject ? node.terse || node.title : node),
-                    title: String(isObject ? node.title : node),
-                    what: isObject && node.what && String(node.what) || "",
-                },
-                isDynamic: false,
-                isHome: false,
-                isInterior: true,
-            };
+    // Pages can be written in Markdown (.md) instead of as Mustache HTML
+    // (.mustache). The `templates` task strips the front matter from either
+    // kind (and converts any Markdown) into an ordinary template under
+    // build/templates/, so both are rendered alike from there.
+    var findTemplate = function (base) {
+        return ['.mustache', '.md'].
+            map(function (extension) { return base + extension; }).
+            filter(function (path) { return grunt.file.exists(path); })[0];
+    };
+
+    var getBuildTemplate = function (path) {
+        return 'build/templates/' + path.replace(/\.md$/, '.mustache');
+    };
 
-            if (parent) {
-                result.parent = parent.me;
+    // Front matter is a block of `key: value` lines between two `---` lines
+    // at the very top of a template, where an indented line continues the
+    // value before it, e.g.
+    //
+    //     ---
+    //     title: Storing MP3 Audio Files from the Note Editor
+    //     terse: Note Editor
+    //     what: Generate audio as you add or edit a note, files stored
+    //       with collection
+    //     order: 10
+    //     parent: usage
+    //     ---
+    //
+    // Every page but the home page needs a title and an order (by which it
+    // is sorted among its siblings). The parent is optional, but if given,
+    // it has to match the section directory that the page is in. Any page
+    // can also give a description, an image (e.g. usage.editor.screen.png),
+    // and a schema.org type for its search and link preview metadata. The
+    // keys and the form of their values are given by
+    // front-matter.schema.json.
+    var FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+    var FRONT_MATTER_SCHEMA = grunt.file.readJSON('front-matter.schema.json');
+    var FRONT_MATTER_KEYS = Object.keys(FRONT_MATTER_SCHEMA.properties);
+
+    var readFrontMatter = function (path) {
+        var text = grunt.file.read(path);
+        var match = FRONT_MATTER.exec(text);
+        var meta = {};
+        var problems = [];
+        var key;
+
+        (match ? match[1].split(/\r?\n/) : []).forEach(function (line, i) {
+            var pair = /^(\w+):\s*(.*?)\s*$/.exec(line);
+            var where = path + ':' + (i + 2) + ": ";
+
+            if (pair) {
+                key = pair[1];
+                if (FRONT_MATTER_KEYS.indexOf(key) === -1) {
+                    problems.push(where + "unknown key " + key);
+                } else if (meta.hasOwnProperty(key)) {
+                    problems.push(where + key + " is given twice");
+                }
+                meta[key] = pair[2];
+            } else if (key && /^\s+\S/.test(line)) {
+                meta[key] += ' ' + line.trim();
+            } else if (line.trim()) {
+                problems.push(where + "expected a `key: value` line");
             }
+        });
+
+        return {meta: meta, problems: problems,
+          body: match ? text.substr(match[0].length) : text};
+    };
+
+    // Builds the navigation tree by scanning pages/, where each directory is
+    // a section whose own page is its index template, and fails listing all
+    // of the problems found (e.g. missing metadata, two templates claiming
+    // the same slug, or siblings sharing an order).
+    var getSitemap = function (locale) {
+        var problems = [];
+
+        var sitemap = (function getSubtree(dir, urlBase, parent) {
+            var candidates = {};  // slug => list of templates claiming it
+            var orders = {};  // order => slug of the first sibling with it
+            var prev;
+
+            grunt.file.expand({cwd: dir, filter: 'isDirectory'}, '*').
+                forEach(function (slug) {
+                    var templates = grunt.file.expand(
+                        dir + '/' + slug + '/index.{mustache,md}'
+                    );
+
+                    if (templates.length) {
+                        candidates[slug] = (candidates[slug] || []).
+                            concat(templates);
+                    } else {
+                        problems.push(dir + '/' + slug + "/ is missing an " +
+                          "index template");
+                    }
+                });
+
+            grunt.file.expand({cwd: dir, filter: 'isFile'}, '*.{mustache,md}').
+                forEach(function (file) {
+                    var slug = file.replace(/\.(mustache|md)$/, '');
+
+                    if (slug !== 'index') {
+                        candidates[slug] = (candidates[slug] || []).
+                            concat(dir + '/' + file);
+                    }
+                });
+
+            return Object.keys(candidates).map(function (slug) {
+                var template = candidates[slug][0];
+                var front = readFrontMatter(template);
+                var translated = locale && findTemplate('l10n/' + locale +
+                    template.replace(/^pages|\.(mustache|md)$/g, ''));
+                var meta = front.meta;
+                var l10n = translated ? readFrontMatter(translated).meta : {};
+
+                problems = problems.concat(front.problems);
+                if (candidates[slug].length > 1) {
+                    problems.push(urlBase + '/' + slug + " is claimed by " +
+                      candidates[slug].join(" and "));
+                }
+                if (!meta.title) {
+                    problems.push(template + " needs a title");
+                }
+                if (!/^-?\d+$/.test(meta.order)) {
+                    problems.push(template + " needs an integer order");
+                } else if (orders.hasOwnProperty(meta.order)) {
+                    problems.push(template + " has the same order (" +
+                      meta.order + ") as its sibling " + orders[meta.order]);
+                } else {
+                    orders[meta.order] = slug;
+                }
+                if (meta.hasOwnProperty('parent') &&
+                  meta.parent !== dir.replace(/^pages\/?/, '')) {
+                    problems.push(template + " gives its parent as " +
+                      (meta.parent || "nothing") + ", but it is in " + dir);
+                }
+
+                return {slug: slug, template: template, meta: meta,
+                  l10n: l10n};
+            }).sort(function (a, b) {
+                return Number(a.meta.order) - Number(b.meta.order);
+            }).map(function (node) {
+                var href = [urlBase, node.slug].join('/');
+                var title = node.l10n.title || node.meta.title || node.slug;
+                var terse = node.l10n.terse ||
+                    !node.l10n.title && node.meta.terse || title;
+                var result = {
+                    me: {
+                        href: href,
+                        slug: node.slug,
+                        terse: terse,
+                        title: title,
+                        what: node.l10n.what || node.meta.what || "",
+                    },
+                    isDynamic: false,
+                    isHome: false,
+                    isInterior: true,
+                };
+
+                // n.b. ancestors runs from the top-level section down to the
+                // parent, for the breadcrumbs
+                if (parent) {
+                    result.ancestors = parent.ancestors.concat(parent.me);
+                    result.parent = parent.me;
+                } else {
+                    result.ancestors = [];
+                }
+
+                if (/\/index\.(mustache|md)$/.test(node.template)) {
+                    result.children = getSubtree(dir + '/' + node.slug, href,
+                      result);
+                    result.isParent = result.children.length > 0;
+                } else {
+                    result.isParent = false;
+                }
+
+                if (prev) {
+                    result.prev = prev.me;
+                    prev.next = result.me;
+                }
+
+                prev = result;
+                return result;
+            });
+        }('pages', locale ? '/' + locale : ''));
+
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            grunt.fail.warn("Page front matter has problems.");
+        }
+
+        return sitemap;
+    };
+
+    Object.keys(LOCALES).forEach(function (code) {
+        var locale = LOCALES[code];
+
+        if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/.test(code)) {
+            grunt.fail.warn("Locale " + code + " is not a lowercase tag");
+        } else if (grunt.file.exists('pages/' + code) ||
+          findTemplate('pages/' + code)) {
+            grunt.fail.warn("Locale " + code + " collides with a page");
+        } else if (!locale || !locale.lang || !locale.name) {
+            grunt.fail.warn("Locale " + code + " needs a lang and a name");
+        }
+    });
+
+    // Flattens the sitemap depth-first into a list of every page (home
+    // first), each with the URL it is served from, its rendered HTML path,
+    // and the template it is rendered from, for English and then for each
+    // locale. Pages w/o a translated template fall back to the English one.
+    var getPages = function () {
+        return Array.prototype.concat.apply([], [null].concat(
+            Object.keys(LOCALES)
+        ).map(function (locale) {
+            var base = locale ? '/' + locale : '';
+            var sitemap = getSitemap(locale);
+
+            var page = function (path, fragment, node) {
+                var template = findTemplate('pages' + fragment) ||
+                    'pages' + fragment + '.mustache';
+                var translated = locale &&
+                    findTemplate('l10n/' + locale + fragment);
+                var isFallback = Boolean(locale) && !translated;
+
+                return {
+                    href: base + path || '/',
+                    path: path || '/',
+                    html: 'pages' + base + fragment + '.html',
+                    template: translated || template,
+                    node: node,
+                    locale: locale,
+                    isFallback: isFallback,
+                };
+            };
+
+            return Array.prototype.concat(
+                page('', '/index', {
+                    children: sitemap,
+                    isDynamic: false,
+                    isHome: true,
+                    isInterior: false,
+                    isParent: sitemap.length > 0,
+                }),
+                (function flatten(nodes) {
+                    return Array.prototype.concat.apply([], nodes.map(
+                        function (node) {
+                            var path = node.me.href.substr(base.length);
+
+                            return Array.prototype.concat(
+                                page(path, node.children ?
+                                    path + '/index' : path, node),
+                                node.children ? flatten(node.children) : []
+                            );
+                        }
+                    ));
+                }(sitemap))
+            );
+        }));
+    };
+
+    // The stylesheet and images are linked under names that embed a hash of
+    // their content (e.g. style.0123abcd.css), as recorded by `fingerprint`
+    // in a manifest that maps each build path to its hashed counterpart.
+    // The unhashed build copy stays, so the plain name (and any older hash,
+    // e.g. from a cached page) keeps serving the current content.
+    var FINGERPRINT = /\.[0-9a-f]{8}(?=\.\w+$)/;
+    var FINGERPRINTS = 'build/fingerprints.json';
+
+    var getFingerprints = function () {
+        return grunt.file.exists(FINGERPRINTS) ?
+            grunt.file.readJSON(FINGERPRINTS) : {};
+    };
+
+    // Each PNG wider than one of these widths can also get a scaled-down
+    // copy at that width (e.g. config-320w.png), which `srcsets` offers to
+    // the browser alongside the original. As not every copy comes out any
+    // smaller in bytes, `pngs` records the ones it kept in a manifest.
+    var PNG_WIDTHS = [320, 480];
+    var PNG_VARIANT = /-\d+w(?=\.png$)/;
+    var PNG_VARIANTS = 'build/variants.json';
+
+    var getPngSize = function (path) {
+        var header = grunt.file.read(path, {encoding: null});
+
+        return {width: header.readUInt32BE(16),
+          height: header.readUInt32BE(20)};
+    };
 
-            if (isObject && typeof node.children === 'object' &&
-              Object.keys(node.children).length > 0) {
-                result.isParent = true;
-                result.children = getSubtree(node.children, href, result);
+    var getPngVariants = function () {
+        return grunt.file.exists(PNG_VARIANTS) ?
+            grunt.file.readJSON(PNG_VARIANTS) : {};
+    };
+
+    // Lists every image served from build/images/, including variants, by
+    // its name before fingerprinting.
+    var getImages = function () {
+        var variants = getPngVariants();
+
+        return Array.prototype.concat.apply([], grunt.file.expand(
+            'images/*.{gif,png}'
+        ).map(function (path) {
+            return [path].concat((variants[path] || []).map(
+                function (variant) { return variant.path; }
+            ));
+        }));
+    };
+
+    // Responses get the headers built by `headers` for their class of handler
+    // (html, images, css, api, or other), which app.yaml sets for static files
+    // and the `unresolved` module sets for its own responses.
+    var HEADERS = 'build/headers.json';
+
+    var getHeaders = function () {
+        return grunt.file.exists(HEADERS) ? grunt.file.readJSON(HEADERS) : {};
+    };
+
+    // Reads a redirects file, where each key is an old path and each value
+    // is where it moved to. A key ending in `/*` moves everything under that
+    // section, and if its value also ends in `/*`, whatever followed the old
+    // prefix is carried over (e.g. `/config/*` to `/settings/*`). The result
+    // can `resolve()` a path through however many hops apply.
+    var getRedirects = function (path) {
+        var WILDCARD = /\/\*$/;
+
+        var raw = grunt.file.readJSON(path || 'redirects.json');
+        var exact = {};
+        var prefixes = [];
+
+        Object.keys(raw).forEach(function (from) {
+            if (WILDCARD.test(from)) {
+                prefixes.push({from: from.slice(0, -1), to: raw[from]});
             } else {
-                result.isParent = false;
+                exact[from] = raw[from];
             }
+        });
+        prefixes.sort(function (a, b) {
+            return b.from.length - a.from.length;
+        });
+
+        var step = function (path) {
+            var rule;
 
-            if (prev) {
-                result.prev = prev.me;
-                prev.next = result.me;
+            if (exact.hasOwnProperty(path)) {
+                return exact[path];
             }
 
-            prev = result;
-            return result;
+            rule = prefixes.filter(function (rule) {
+                return path.length > rule.from.length &&
+                    path.indexOf(rule.from) === 0;
+            })[0];
+
+            return !rule ? null :
+                WILDCARD.test(rule.to) ?
+                    rule.to.slice(0, -1) + path.substr(rule.from.length) :
+                    rule.to;
+        };
+
+        return {
+            raw: raw,
+            exact: exact,
+            prefixes: prefixes,
+
+            // returns null if no redirect applies, or otherwise the final
+            // path, the chain of paths visited, and whether it loops
+            resolve: function (path) {
+                var chain = [path];
+                var next = step(path);
+
+                if (next === null) {
+                    return null;
+                }
+
+                while (next !== null) {
+                    if (chain.indexOf(next) !== -1) {
+                        return {path: next, chain: chain.concat(next),
+                          cycle: true};
+                    }
+
+                    chain.push(next);
+                    next = step(next);
+                }
+
+                return {path: chain[chain.length - 1], chain: chain,
+                  cycle: false};
+            },
+        };
+    };
+
+    // Relays (e.g. /api/voicetext) are listed in relays.json, each w/ the path
+    // it is served from, a summary of what it does (for the API description
+    // that `openapi` builds), the names of the keys it needs from keys.json
+    // (under "relays"), the query parameters it requires and allows, and the
+    // tier of rate limits it counts against (relays in a tier share limits).
+    // Their keys get mustached into relays/__init__.py as {{{keys.<name>}}}.
+    var RELAYS = grunt.file.readJSON('relays.json');
+    var RELAYS_TEMPLATE = 'relays/__init__.py';
+
+    (function () {
+        var problems = [];
+        var declared = {};
+        var referenced = {};
+        var TEMPLATE_KEYS = /\{\{\{?\s*keys\.(\w+)\s*\}?\}\}/g;
+        var template = grunt.file.read(RELAYS_TEMPLATE);
+        var match;
+
+        var isList = function (list) {
+            return Array.isArray(list) && list.every(function (item) {
+                return typeof item === 'string' && /^[\w.\-]+$/.test(item);
+            });
+        };
+
+        Object.keys(RELAYS.tiers || {}).forEach(function (name) {
+            var levels = RELAYS.tiers[name];
+
+            if (!Array.isArray(levels) || !levels.length ||
+              !levels.every(function (level) {
+                  return ['within', 'maxSingle', 'maxTotal'].every(
+                      function (key) {
+                          return level[key] > 0 && level[key] % 1 === 0;
+                      }
+                  );
+              })) {
+                problems.push("relays.json tier " + name + " needs levels, " +
+                  "each w/ a whole within, maxSingle, and maxTotal");
+            }
+        });
+
+        Object.keys(RELAYS.relays || {}).forEach(function (name) {
+            var relay = RELAYS.relays[name];
+            var query = relay.query || {};
+
+            if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+                problems.push("relays.json has an invalid relay name, " +
+                  name);
+            }
+            if (!/^\/api\/[\w\-\/]+$/.test(relay.path)) {
+                problems.push("relays.json relay " + name + " needs a path " +
+                  "under /api/");
+            }
+            if (typeof relay.summary !== 'string' || !relay.summary) {
+                problems.push("relays.json relay " + name + " needs a " +
+                  "summary");
+            }
+            if (!isList(relay.keys) || !relay.keys.length) {
+                problems.push("relays.json relay " + name + " needs a list " +
+                  "of keys");
+            }
+            if (!isList(query.required) || !isList(query.optional || [])) {
+                problems.push("relays.json relay " + name + " needs a " +
+                  "query w/ lists of required (and any optional) parameters");
+            }
+            if (!RELAYS.tiers || !RELAYS.tiers.hasOwnProperty(relay.tier)) {
+                problems.push("relays.json relay " + name + " needs one of " +
+                  "the tiers");
+            }
+
+            (relay.keys || []).forEach(function (key) {
+                declared[key] = true;
+            });
+        });
+
+        TEMPLATE_KEYS.lastIndex = 0;
+        while ((match = TEMPLATE_KEYS.exec(template)) !== null) {
+            referenced[match[1]] = true;
+        }
+        Object.keys(referenced).forEach(function (key) {
+            if (!declared[key]) {
+                problems.push(RELAYS_TEMPLATE + " uses the " + key + " key, " +
+                  "but no relay in relays.json declares it");
+            }
+        });
+        Object.keys(declared).forEach(function (key) {
+            if (!referenced[key]) {
+                problems.push("relays.json declares the " + key + " key, " +
+                  "but " + RELAYS_TEMPLATE + " never uses it");
+            }
         });
-    }(grunt.file.readJSON('sitemap.json'), ''));
 
-    var KEYS = {};
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            grunt.fail.warn("Relays are not set up consistently.");
+        }
+    }());
+
+    // API keys (currently just those the relays declare) are looked up in
+    // these places, w/ the first one having a key winning:
+    //
+    // 1. an environment variable named for it, e.g. the voicetext key under
+    //    "relays" comes from AWESOMETTS_RELAYS_VOICETEXT
+    // 2. the JSON file given by `--secrets=...` or the AWESOMETTS_SECRETS
+    //    environment variable (e.g. one kept outside of the working tree)
+    // 3. keys.json, which git ignores
+    //
+    // Both files are optional and look like `{"relays": {"voicetext": ...}}`.
+    // Anything malformed or undeclared in either fails the build, keys that
+    // are missing everywhere get built as ??? (which `grunt keycheck` stops
+    // from being deployed), and `grunt keys:status` tells where each came
+    // from. The values of any keys found never appear in grunt's output.
+    var KEYS = {relays: {}};
+    var KEYS_SOURCES = {};
     var KEYS_MISSING = [];
-    var KEYS_RELAYS_MISSING = [];
-    try { KEYS = grunt.file.readJSON('keys.json'); } catch (ignore) { }
-    [['relays', {}]].forEach(function (tuple) {
-        if (!KEYS[tuple[0]]) {
-            KEYS[tuple[0]] = tuple[1];
-            KEYS_MISSING.push(tuple[0]);
+    var KEYS_ENV_PREFIX = 'AWESOMETTS_';
+    var SECRETS = grunt.option('secrets') || process.env.AWESOMETTS_SECRETS;
+
+    (function () {
+        var SECTIONS = {relays: Object.keys(RELAYS.relays).
+            reduce(function (keys, name) {
+                return keys.concat(RELAYS.relays[name].keys);
+            }, [])};
+        var problems = [];
+        var values = [];
+
+        var getEnvName = function (section, key) {
+            return KEYS_ENV_PREFIX + (section + '_' + key).toUpperCase();
+        };
+
+        var describe = function (value) {
+            return value === null ? "null" :
+                Array.isArray(value) ? "an array" :
+                typeof value === 'string' ? "an empty string" :
+                "a " + typeof value;
+        };
+
+        var readFile = function (path, isRequired) {
+            var parsed;
+
+            if (!grunt.file.exists(path)) {
+                if (isRequired) {
+                    problems.push(path + " does not exist");
+                }
+                return {};
+            }
+
+            try {
+                parsed = JSON.parse(grunt.file.read(path));
+            } catch (e) {
+                problems.push(path + " is not valid JSON (" + e.message + ")");
+                return {};
+            }
+
+            if (!parsed || typeof parsed !== 'object' ||
+              Array.isArray(parsed)) {
+                problems.push(path + " should contain an object, not " +
+                  describe(parsed));
+                return {};
+            }
+
+            Object.keys(parsed).forEach(function (section) {
+                var keys = parsed[section];
+
+                if (!SECTIONS.hasOwnProperty(section)) {
+                    problems.push(path + " has an unknown section, " +
+                      section + " (expected " +
+                      Object.keys(SECTIONS).join(" or ") + ")");
+                } else if (!keys || typeof keys !== 'object' ||
+                  Array.isArray(keys)) {
+                    problems.push(path + " should have an object for " +
+                      section + ", not " + describe(keys));
+                } else {
+                    Object.keys(keys).forEach(function (key) {
+                        if (SECTIONS[section].indexOf(key) === -1) {
+                            problems.push(path + " has " + section + "." +
+                              key + ", which relays.json does not declare");
+                        } else if (typeof keys[key] !== 'string' ||
+                          !keys[key]) {
+                            problems.push(path + " should have a " +
+                              "non-empty string for " + section + "." + key +
+                              ", not " + describe(keys[key]));
+                        }
+                    });
+                }
+            });
+
+            return parsed;
+        };
+
+        var sources = [
+            {
+                get: function (section, key) {
+                    return process.env[getEnvName(section, key)];
+                },
+                describe: getEnvName,
+            },
+        ].concat(
+            (SECRETS ? [{path: SECRETS, isRequired: true}] : []).
+                concat({path: 'keys.json'}).
+                map(function (file) {
+                    var parsed = readFile(file.path, file.isRequired);
+
+                    return {
+                        get: function (section, key) {
+                            return (parsed[section] || {})[key];
+                        },
+                        describe: function () { return file.path; },
+                    };
+                })
+        );
+
+        Object.keys(process.env).filter(function (name) {
+            return name.indexOf(KEYS_ENV_PREFIX) === 0 &&
+                name !== 'AWESOMETTS_SECRETS';
+        }).forEach(function (name) {
+            var isDeclared = Object.keys(SECTIONS).some(function (section) {
+                return SECTIONS[section].some(function (key) {
+                    return getEnvName(section, key) === name;
+                });
+            });
+
+            if (!isDeclared) {
+                problems.push(name + " is set, but is not named for any " +
+                  "key that relays.json declares");
+            } else if (!process.env[name]) {
+                problems.push(name + " is set, but is empty");
+            }
+        });
+
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            grunt.fail.warn("Keys are not set up correctly.");
         }
-    });
-    ['voicetext'].forEach(function (relay) {
-        if (!KEYS.relays[relay]) {
-          KEYS.relays[relay] = '???';
-          KEYS_RELAYS_MISSING.push(relay);
+
+        Object.keys(SECTIONS).forEach(function (section) {
+            KEYS[section] = {};
+
+            SECTIONS[section].forEach(function (key) {
+                var id = section + '.' + key;
+                var source = sources.filter(function (source) {
+                    var value = source.get(section, key);
+                    return typeof value === 'string' && value;
+                })[0];
+
+                if (source) {
+                    KEYS[section][key] = source.get(section, key);
+                    KEYS_SOURCES[id] = source.describe(section, key);
+                    values.push(KEYS[section][key]);
+                } else {
+                    KEYS[section][key] = '???';
+                    KEYS_MISSING.push(id);
+                }
+            });
+        });
+
+        // everything grunt logs (including from its verbose mode, plugins,
+        // and failures) goes through this stream, so scrub it there
+        values = values.
+            concat(values.map(function (value) {
+                return JSON.stringify(value).slice(1, -1);
+            })).
+            filter(function (value, i, all) {
+                return all.indexOf(value) === i;
+            }).
+            sort(function (a, b) { return b.length - a.length; });
+
+        if (values.length) {
+            grunt.log.options.outStream = (function (stream) {
+                return {
+                    write: function (message) {
+                        message = String(message);
+                        values.forEach(function (value) {
+                            message = message.split(value).join('[redacted]');
+                        });
+                        return stream.write(message);
+                    },
+                };
+            }(grunt.log.options.outStream));
         }
-    });
+    }());
 
     var gaeRegex = function (strings, forceWrap) {
         var map = {};
@@ -166,6 +846,190 @@ module.exports = function (grunt) {
         }(map, forceWrap));
     };
 
+    // Returns a pattern (w/o capturing groups) for any whole number from
+    // `from` through `to` (or up, if `to` is null), w/ leading zeros allowed,
+    // e.g. 8 through 12 is 0*(?:[8-9]|1[0-2]).
+    var gaeNumberRange = function (from, to) {
+        var repeat = function (digit, length) {
+            return new Array(length + 1).join(digit);
+        };
+        var digits = function (low, high) {
+            return low === high ? low : '[' + low + '-' + high + ']';
+        };
+        var any = function (length) {
+            return length > 1 ? '\\d{' + length + '}' : '\\d';
+        };
+
+        // both w/ the same number of digits
+        var span = function (low, high) {
+            var rest = low.length - 1;
+            var first = Number(low.charAt(0));
+            var last = Number(high.charAt(0));
+
+            if (!rest) {
+                return digits(low, high);
+            } else if (first === last) {
+                return low.charAt(0) + span(low.substr(1), high.substr(1));
+            } else if (low.substr(1) === repeat('0', rest) &&
+              high.substr(1) === repeat('9', rest)) {
+                return digits(low.charAt(0), high.charAt(0)) + any(rest);
+            }
+
+            return '(?:' + [
+                low.charAt(0) + span(low.substr(1), repeat('9', rest)),
+                last - first > 1 ?
+                    digits(String(first + 1), String(last - 1)) + any(rest) :
+                    null,
+                high.charAt(0) + span(repeat('0', rest), high.substr(1)),
+            ].filter(Boolean).join('|') + ')';
+        };
+
+        var parts = [];
+        var low = from;
+        var length;
+
+        while (to === null || low <= to) {
+            length = String(low).length;
+
+            if (to === null) {
+                parts.push(span(String(low), repeat('9', length)),
+                  '[1-9]\\d{' + length + ',}');
+                break;
+            }
+
+            parts.push(span(String(low),
+              String(Math.min(Math.pow(10, length) - 1, to))));
+            low = Math.pow(10, length);
+        }
+
+        return parts.length > 1 ? '0*(?:' + parts.join('|') + ')' :
+            '0*' + parts[0];
+    };
+
+    // Returns a pattern (w/o capturing groups) for any Anki x.y series from
+    // `from` up to, but not including, `next` (or up, if `next` is null),
+    // e.g. 2.2 up to 3.2 is 2.2 through 2.9, 2.10 and up, 3.0, and 3.1.
+    var gaeSeriesRange = function (from, next) {
+        var low = from.split('.').map(Number);
+        var high = next && next.split('.').map(Number);
+
+        if (high && low[0] === high[0]) {
+            return '(?:' + gaeNumberRange(low[0], low[0]) + '\\.' +
+                gaeNumberRange(low[1], high[1] - 1) + ')';
+        }
+
+        return '(?:' + [
+            gaeNumberRange(low[0], low[0]) + '\\.' +
+                gaeNumberRange(low[1], null),
+            !high || high[0] - low[0] > 1 ?
+                gaeNumberRange(low[0] + 1, high ? high[0] - 1 : null) +
+                    '\\.\\d+' :
+                null,
+            high && high[1] > 0 ?
+                gaeNumberRange(high[0], high[0]) + '\\.' +
+                    gaeNumberRange(0, high[1] - 1) :
+                null,
+        ].filter(Boolean).join('|') + ')';
+    };
+
+    // Converts an app.yaml expiration string (e.g. "35d", "4d 5h") into the
+    // number of seconds it represents.
+    var gaeExpiration = function (expiration) {
+        var SECONDS = {d: 86400, h: 3600, m: 60, s: 1};
+
+        return String(expiration).split(/\s+/).filter(Boolean).
+            reduce(function (total, part) {
+                var match = /^(\d+)([dhms]?)$/.exec(part);
+
+                if (!match) {
+                    throw new Error("Bad expiration: " + expiration);
+                }
+
+                return total + Number(match[1]) * SECONDS[match[2] || 's'];
+            }, 0);
+    };
+
+    // Finds the first handler whose url pattern fully matches the path, as
+    // App Engine does, and returns it with its position, regex match, and
+    // the static file (w/ backreferences substituted) it would serve.
+    var gaeRoute = function (handlers, path) {
+        var result = null;
+
+        handlers.some(function (handler, index) {
+            var match = new RegExp('^(?:' + handler.url + ')$').exec(path);
+
+            if (!match) {
+                return false;
+            }
+
+            result = {
+                handler: handler,
+                index: index,
+                match: match,
+                file: typeof handler.static_files === 'string' ?
+                    handler.static_files.replace(/\\(\d)/g,
+                        function (ignore, group) {
+                            return match[group] || '';
+                        }) :
+                    null,
+            };
+            return true;
+        });
+
+        return result;
+    };
+
+    // Runs `gcloud` for the project w/ the given arguments. Commands that
+    // change something stream their output to the console (or are printed
+    // under --dry-run), while ones that just read get their JSON output
+    // parsed and passed to the callback.
+    var gcloud = function (args, isChange, callback) {
+        var execFile = require('child_process').execFile;
+        var command;
+        var child;
+
+        args = args.concat('--project', GCLOUD_PROJECT);
+        command = [GCLOUD_BIN].concat(args).join(' ');
+
+        if (isChange && DRY_RUN) {
+            grunt.log.writeln("Would run: " + command);
+            callback(null, null);
+            return;
+        }
+
+        grunt.verbose.writeln("Running: " + command);
+        child = execFile(
+            GCLOUD_BIN,
+            isChange ? args : args.concat('--format', 'json'),
+            {maxBuffer: 16 * 1024 * 1024},
+            function (error, stdout, stderr) {
+                var result = null;
+
+                if (error) {
+                    callback(new Error(command + " failed" + (isChange ? "" :
+                      ": " + (stderr.trim() || error.message))));
+                    return;
+                }
+
+                if (!isChange) {
+                    try {
+                        result = JSON.parse(stdout);
+                    } catch (e) {
+                        callback(new Error(command + " gave bad JSON"));
+                        return;
+                    }
+                }
+
+                callback(null, result);
+            }
+        );
+
+        if (isChange) {
+            child.stdout.on('data', grunt.log.write);
+            child.stderr.on('data', grunt.log.error);
+        }
+    };
+
     var config = {pkg: 'package.json'};
     grunt.config.init(config);
 
@@ -176,71 +1040,1036 @@ module.exports = function (grunt) {
     grunt.task.registerTask('help', "Display usage.", grunt.help.display);
 
     grunt.task.registerTask('build', "Build all into build subdirectory.", [
-        'clean', 'copy', 'json-minify', 'sass', 'cssmin', 'mustache_render',
-        'replace', 'htmlmin', 'appyaml',
+        'validate', 'clean', 'copy', 'pngs', 'json-minify', 'redirects',
+        'updates', 'openapi', 'sass', 'cssmin', 'templates',
+        'mustache_render', 'replace', 'srcsets', 'searchindex', 'linkcheck',
+        'fingerprint', 'htmlmin', 'headers', 'a11y', 'offline',
+        'sitemapxml', 'appyaml', 'routes',
     ]);
 
     grunt.task.registerTask('run', "Runs project locally using GAE SDK.", [
         'build', 'gae:run',
     ]);
 
+    grunt.task.registerTask('serve', "Runs project locally using Node.", [
+        'build', 'httpd',
+    ]);
+
+    // n.b. `version` goes first, as `offline` names its cache after it
     grunt.task.registerTask('deploy', "Pushes new version to GAE platform.", [
-        'keycheck', 'build', 'version', 'gae:update',
+        'keycheck', 'version', 'build', 'smoke', 'gae:update',
     ]);
 
 
-    // Clean-Up (clean) //////////////////////////////////////////////////////
+    // JSON Schema Validation (validate) /////////////////////////////////////
+    // n.b. runs first in `build` (and again on `watch` changes), so nothing //
+    // gets built from, or deployed w/, a document that fails its schema    //
 
-    grunt.task.loadNpmTasks('grunt-contrib-clean');
-    config.clean = {build: 'build/*'};
+    // Checks a value against a JSON Schema, returning a list of problems,
+    // each starting w/ the JSON path to where it is (e.g. $.notes[2]). Just
+    // the keywords that the schemas here use are supported: $ref (which
+    // getComponent looks up), type, enum, minLength, pattern, properties,
+    // required, additionalProperties, items, and oneOf.
+    var checkSchema = function (value, schema, getComponent, path) {
+        var IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+        var problems = [];
+        var matches;
+        var type;
 
+        path = path || '$';
 
-    // File Copy (copy) //////////////////////////////////////////////////////
+        if (schema.$ref) {
+            return checkSchema(value, getComponent(schema.$ref), getComponent,
+              path);
+        }
 
-    grunt.task.loadNpmTasks('grunt-contrib-copy');
-    config.copy = {
-        favicon: {src: 'favicon.ico', dest: 'build/'},
-        touchIcon: {src: 'apple-touch-icon.png', dest: 'build/'},
-        images: {src: 'images/*.{gif,png}', dest: 'build/'},
-        redirects: {src: 'redirects.json', dest: 'build/'},
-        dntPolicy: {src: 'dnt-policy.txt', dest: 'build/'},
-        robots: {src: 'robots.txt', dest: 'build/'},
-        unresolvedPy: {src: 'unresolved/__init__.py', dest: 'build/'},
-        api: {src: 'api/**/*.json', dest: 'build/'},  // minify in-place next
-    };
+        type = value === null ? 'null' :
+            Array.isArray(value) ? 'array' :
+            typeof value === 'number' && value % 1 === 0 ? 'integer' :
+            typeof value;
+
+        if (schema.type && schema.type !== type &&
+          !(schema.type === 'number' && type === 'integer')) {
+            return [path + " should be a " + schema.type + ", not a " + type];
+        }
 
+        if (schema.enum && !schema.enum.some(function (allowed) {
+            return JSON.stringify(allowed) === JSON.stringify(value);
+        })) {
+            problems.push(path + " should be " +
+              schema.enum.map(JSON.stringify).join(" or ") + ", not " +
+              JSON.stringify(value));
+        }
 
-    // JSON Minification In-Place (json-minify) //////////////////////////////
-    // n.b. unlike other minfication plug-ins, this one only works in-place //
+        if (type === 'string') {
+            if (value.length < (schema.minLength || 0)) {
+                problems.push(path + " should be at least " +
+                  schema.minLength + " characters long");
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                problems.push(path + " should match " + schema.pattern +
+                  ", but is " + JSON.stringify(value));
+            }
+        }
 
-    grunt.task.loadNpmTasks('grunt-json-minify');
-    config['json-minify'] = {api: {files: 'build/api/**/*.json'}};
+        if (type === 'object') {
+            (schema.required || []).forEach(function (key) {
+                if (!value.hasOwnProperty(key)) {
+                    problems.push(path + " is missing " + key);
+                }
+            });
 
+            Object.keys(value).forEach(function (key) {
+                var keyPath = path + (IDENTIFIER.test(key) ? '.' + key :
+                    '[' + JSON.stringify(key) + ']');
 
-    // Stylesheet Compilation (sass) /////////////////////////////////////////
+                if (schema.properties && schema.properties[key]) {
+                    problems = problems.concat(checkSchema(value[key],
+                      schema.properties[key], getComponent, keyPath));
+                } else if (schema.additionalProperties === false) {
+                    problems.push(keyPath + " is not allowed (expected " +
+                      Object.keys(schema.properties || {}).join(", ") + ")");
+                }
+            });
+        }
 
-    grunt.task.loadNpmTasks('grunt-sass');
-    config.sass = {
-        style: {files: {'build/style.css': 'style.scss'}},
-    };
+        if (type === 'array' && schema.items) {
+            value.forEach(function (item, i) {
+                problems = problems.concat(checkSchema(item, schema.items,
+                  getComponent, path + '[' + i + ']'));
+            });
+        }
 
+        if (schema.oneOf) {
+            matches = schema.oneOf.filter(function (alternative) {
+                return !checkSchema(value, alternative, getComponent,
+                  path).length;
+            });
 
-    // Stylesheet Minification In-Place (cssmin) /////////////////////////////
+            if (matches.length !== 1) {
+                problems.push(path + " should match exactly one of " +
+                  schema.oneOf.map(function (alternative) {
+                      return alternative.$ref ?
+                          alternative.$ref.split('/').pop() :
+                          JSON.stringify(alternative);
+                  }).join(", ") + ", but matches " +
+                  (matches.length || "none"));
+            }
+        }
 
-    grunt.task.loadNpmTasks('grunt-contrib-cssmin');
-    config.cssmin = {
-        options: {keepSpecialComments: 0},
-        style: {files: {'build/style.css': 'build/style.css'}},
+        return problems;
     };
 
+    grunt.task.registerTask('validate', "Validate JSON.", function () {
+        var schemas = getOpenApi().components.schemas;
+        var releaseSchema = grunt.file.readJSON(
+            'api/update/release.schema.json'
+        );
+        var updates = getUpdateResponses();
+        var problems = [];
+        var count = 0;
 
-    // HTML Generation from Mustache Templates (mustache_render) /////////////
+        var getComponent = function (ref) {
+            return schemas[ref.split('/').pop()] || {};
+        };
+
+        var check = function (where, value, schema) {
+            checkSchema(value, schema, getComponent).
+                forEach(function (problem) {
+                    problems.push(where + ": " + problem);
+                });
+            count += 1;
+        };
+
+        grunt.file.expand(['pages/**/*.{mustache,md}',
+          'l10n/**/*.{mustache,md}']).forEach(function (path) {
+            check(path, readFrontMatter(path).meta, FRONT_MATTER_SCHEMA);
+        });
+
+        grunt.file.expand(API_FILES).forEach(function (path) {
+            var schema = path.replace(/\.json$/, '.schema.json');
+            var value;
+
+            try {
+                value = grunt.file.readJSON(path);
+            } catch (e) {
+                problems.push(path + " is not valid JSON (" + e.message +
+                  ")");
+                return;
+            }
+
+            if (grunt.file.exists(schema)) {
+                check(path, value, grunt.file.readJSON(schema));
+            } else {
+                problems.push(path + " has no " + schema + " describing it");
+            }
+        });
+
+        Object.keys(updates).forEach(function (key) {
+            check("update response for " + key, updates[key], releaseSchema);
+        });
+
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            grunt.fail[IS_DEPLOY ? 'fatal' : 'warn']("Some JSON documents " +
+              "do not match their schemas.");
+            return;
+        }
+
+        grunt.log.ok("Validated " + count + " documents.");
+    });
+
+
+    // Clean-Up (clean) //////////////////////////////////////////////////////
+
+    grunt.task.loadNpmTasks('grunt-contrib-clean');
+    config.clean = {build: 'build/*'};
+
+
+    // File Copy (copy) //////////////////////////////////////////////////////
+
+    grunt.task.loadNpmTasks('grunt-contrib-copy');
+    config.copy = {
+        favicon: {src: 'favicon.ico', dest: 'build/'},
+        touchIcon: {src: 'apple-touch-icon.png', dest: 'build/'},
+        images: {src: 'images/*.{gif,png}', dest: 'build/'},
+        dntPolicy: {src: 'dnt-policy.txt', dest: 'build/'},
+        robots: {src: 'robots.txt', dest: 'build/', options: {
+            process: function (content) {
+                return content.replace(/\s*$/, '\n') +
+                    'Sitemap: ' + SITE_URL + '/sitemap.xml\n';
+            },
+        }},
+        searchJs: {src: 'search.js', dest: 'build/'},
+        offlineJs: {src: 'offline.js', dest: 'build/'},
+        unresolvedPy: {src: 'unresolved/__init__.py', dest: 'build/'},
+        api: {src: API_FILES, dest: 'build/'},  // minify in-place next
+    };
+
+
+    // PNG Optimization and Width Variants (pngs) ////////////////////////////
+    // n.b. an original is only replaced by a re-encoding that comes out    //
+    // smaller, so one already optimized (e.g. w/ `zopflipng`) stays as is  //
+
+    grunt.task.registerTask('pngs', "Optimize and scale PNGs.", function () {
+        var PNG = require('pngjs').PNG;
+
+        // pngjs neither keeps nor writes these, so they are carried over
+        // from the original, or a variant would be shown in other colors
+        var COLOR_CHUNKS = ['cHRM', 'gAMA', 'iCCP', 'sRGB'];
+
+        // pngjs picks a filter per row by default (-1), but one filter for
+        // the whole image, or another zlib strategy (e.g. 1 for filtered
+        // data, or 3 for run-length only), sometimes deflates better
+        var FILTER_TYPES = [-1, 0, 1, 2, 3, 4];
+        var STRATEGIES = [0, 1, 3];
+
+        var manifest = getPngVariants();
+        var count = 0;
+        var before = 0;
+        var after = 0;
+
+        // returns the original's color chunks, each w/ its length and CRC
+        var getColorChunks = function (buffer) {
+            var chunks = [];
+            var offset = 8;  // n.b. past the signature
+            var length;
+
+            while (offset + 8 <= buffer.length) {
+                length = buffer.readUInt32BE(offset);
+                if (COLOR_CHUNKS.indexOf(
+                      buffer.toString('latin1', offset + 4, offset + 8)
+                    ) !== -1) {
+                    chunks.push(buffer.slice(offset, offset + 12 + length));
+                }
+                offset += 12 + length;
+            }
+
+            return chunks;
+        };
+
+        // packs the pixels w/ the narrowest color type (but never as gray
+        // under an ICC profile, which would then be for the wrong type) and
+        // w/ the color chunks right after IHDR, where they have to come
+        var encode = function (png, chunks, filterType, strategy) {
+            var data = png.data;
+            var isOpaque = true;
+            var isGray = true;
+            var packed;
+            var i;
+
+            for (i = 0; i < data.length; i += 4) {
+                isOpaque = isOpaque && data[i + 3] === 255;
+                isGray = isGray && data[i] === data[i + 1] &&
+                    data[i + 1] === data[i + 2];
+            }
+            isGray = isGray && !chunks.some(function (chunk) {
+                return chunk.toString('latin1', 4, 8) === 'iCCP';
+            });
+
+            packed = PNG.sync.write(png, {
+                colorType: isGray ? (isOpaque ? 0 : 4) : (isOpaque ? 2 : 6),
+                deflateLevel: 9,
+                filterType: filterType === undefined ? -1 : filterType,
+                deflateStrategy: strategy === undefined ? 3 : strategy,
+            });
+
+            return Buffer.concat([packed.slice(0, 33)].concat(chunks,
+              packed.slice(33)));  // n.b. 8 bytes of signature, 25 of IHDR
+        };
+
+        // lists, for each target pixel along one axis, which source pixels
+        // it covers and by how much (as flattened index, weight pairs)
+        var coverage = function (from, to) {
+            var scale = from / to;
+            var result = [];
+            var start, end, i, j;
+
+            for (i = 0; i < to; i += 1) {
+                start = i * scale;
+                end = Math.min(start + scale, from);
+                result.push([]);
+
+                for (j = Math.floor(start); j < Math.ceil(end); j += 1) {
+                    result[i].push(j,
+                      (Math.min(j + 1, end) - Math.max(j, start)) / scale);
+                }
+            }
+
+            return result;
+        };
+
+        // scales down by averaging the area under each target pixel, with
+        // alpha premultiplied so transparent pixels do not bleed color
+        var shrink = function (src, width, height) {
+            var across = coverage(src.width, width);
+            var down = coverage(src.height, height);
+            var sums = new Float64Array(width * src.height * 4);
+            var dst = new PNG({width: width, height: height});
+            var x, y, k, c, i, o, weight, alpha, pixel;
+
+            for (y = 0; y < src.height; y += 1) {
+                for (x = 0; x < width; x += 1) {
+                    o = (y * width + x) * 4;
+
+                    for (k = 0; k < across[x].length; k += 2) {
+                        i = (y * src.width + across[x][k]) * 4;
+                        alpha = src.data[i + 3] * across[x][k + 1];
+
+                        for (c = 0; c < 3; c += 1) {
+                            sums[o + c] += src.data[i + c] * alpha;
+                        }
+                        sums[o + 3] += alpha;
+                    }
+                }
+            }
+
+            for (y = 0; y < height; y += 1) {
+                for (x = 0; x < width; x += 1) {
+                    o = (y * width + x) * 4;
+                    pixel = [0, 0, 0, 0];
+
+                    for (k = 0; k < down[y].length; k += 2) {
+                        i = (down[y][k] * width + x) * 4;
+                        weight = down[y][k + 1];
+
+                        for (c = 0; c < 4; c += 1) {
+                            pixel[c] += sums[i + c] * weight;
+                        }
+                    }
+
+                    for (c = 0; c < 3; c += 1) {
+                        dst.data[o + c] = pixel[3] ?
+                            Math.min(255, Math.round(pixel[c] / pixel[3])) :
+                            0;
+                    }
+                    dst.data[o + 3] = Math.min(255, Math.round(pixel[3]));
+                }
+            }
+
+            return dst;
+        };
+
+        grunt.file.expand('build/images/*.png').forEach(function (path) {
+            var original = grunt.file.read(path, {encoding: null});
+            var source = path.replace(/^build\//, '');
+            var chunks;
+            var optimized;
+            var png;
+
+            if (FINGERPRINT.test(path) || PNG_VARIANT.test(path)) {
+                return;  // left by an earlier run (e.g. under `watch`)
+            }
+
+            chunks = getColorChunks(original);
+            png = PNG.sync.read(original);
+            before += original.length;
+
+            // n.b. pngjs reads 16-bit samples as 8-bit, so those are kept
+            if (original[24] <= 8) {
+                optimized = Array.prototype.concat.apply([],
+                    FILTER_TYPES.map(function (filterType) {
+                        return STRATEGIES.map(function (strategy) {
+                            return encode(png, chunks, filterType, strategy);
+                        });
+                    })
+                ).reduce(function (smallest, data) {
+                    return data.length < smallest.length ? data : smallest;
+                });
+
+                if (optimized.length < original.length) {
+                    grunt.file.write(path, optimized);
+                    original = optimized;
+                } else {
+                    grunt.verbose.writeln("Kept " + source + ", as " +
+                      "re-encoding it came out no smaller");
+                }
+            }
+            after += original.length;
+
+            manifest[source] = PNG_WIDTHS.filter(function (width) {
+                return width < png.width;
+            }).map(function (width) {
+                var height = Math.round(png.height * width / png.width);
+
+                return {
+                    path: source.replace(/\.png$/, '-' + width + 'w.png'),
+                    width: width,
+                    height: height,
+                    data: encode(shrink(png, width, height), chunks),
+                };
+            }).filter(function (variant) {
+                if (variant.data.length < original.length) {
+                    grunt.file.write('build/' + variant.path, variant.data);
+                    return true;
+                }
+
+                grunt.verbose.writeln("Skipped " + variant.path + ", as " +
+                  "it is no smaller than " + source);
+                return false;
+            }).map(function (variant) {
+                return {path: variant.path, width: variant.width,
+                  height: variant.height};
+            });
+            count += manifest[source].length;
+        });
+
+        grunt.file.write(PNG_VARIANTS, JSON.stringify(manifest));
+        grunt.log.ok("Optimized PNGs from " + before + " to " + after +
+          " bytes, and built " + count + " smaller width variants.");
+    });
+
+
+    // JSON Minification In-Place (json-minify) //////////////////////////////
+    // n.b. unlike other minfication plug-ins, this one only works in-place //
+
+    grunt.task.loadNpmTasks('grunt-json-minify');
+    config['json-minify'] = {api: {files: 'build/api/**/*.json'}};
+
+
+    // Redirect Validation and Collapsing (redirects) ////////////////////////
+    // n.b. build/redirects.json has every chain collapsed to a single hop, //
+    // and is what the `unresolved` module loads at runtime                 //
+
+    grunt.task.registerTask('redirects', "Build redirects.", function () {
+        var redirects = getRedirects();
+        var pages = getPages().map(function (page) { return page.href; });
+        var collapsed = {};
+        var problems = [];
+
+        var check = function (from, sample) {
+            var result = redirects.resolve(sample) ||
+                {path: sample, chain: [sample], cycle: false};
+
+            if (result.cycle) {
+                problems.push(from + " loops: " + result.chain.join(" => "));
+            } else if (pages.indexOf(result.path) === -1) {
+                problems.push(from + " ends at " + result.path +
+                  ", which is not in the sitemap");
+            }
+
+            return result;
+        };
+
+        Object.keys(redirects.exact).forEach(function (from) {
+            if (pages.indexOf(from) !== -1) {
+                problems.push(from + " is a page, so it cannot redirect");
+            }
+
+            collapsed[from] = check(from, from).path;
+        });
+
+        redirects.prefixes.forEach(function (rule) {
+            var from = rule.from + '*';
+            var shadowed = pages.filter(function (page) {
+                return page.indexOf(rule.from) === 0;
+            });
+
+            if (shadowed.length) {
+                problems.push(from + " would hide " + shadowed.join(", "));
+            }
+
+            if (/\/\*$/.test(rule.to)) {
+                // n.b. the rest of the path is unknown until runtime, so only
+                // the section it lands in can be checked here
+                check(from, rule.to.slice(0, -2));
+                collapsed[from] = rule.to;
+            } else {
+                collapsed[from] = check(from, rule.to).path;
+            }
+        });
+
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            return false;
+        }
+
+        grunt.file.write('build/redirects.json', JSON.stringify(collapsed));
+        grunt.log.ok("Validated " + Object.keys(collapsed).length +
+          " redirects.");
+    });
+
+
+    // Update API Responses from Release Manifest (updates) //////////////////
+    // The add-on asks /api/update/<add-on version>-<Anki version> whether it
+    // should upgrade. Releases are listed in releases.json, each like this:
+    //
+    //     {"version": "1.12.0", "anki": {"min": "2.0", "max": "2.0"},
+    //      "notes": ["Fixed ..."], "url": "https://ankiweb.net/shared/..."}
+    //
+    // ... where "anki" is the range of Anki x.y series the release runs on
+    // ("max" may be left off if there is no known upper bound). For every
+    // listed release and range of Anki series (see `getReleases`), if a newer
+    // release runs on that range, a response pointing to the newest one is
+    // built and routed. Anything else (e.g. unknown versions, dev builds)
+    // falls through to good-version.json.
+
+    var compareVersions = function (a, b) {
+        a = a.split('.').map(Number);
+        b = b.split('.').map(Number);
+
+        for (var i = 0; i < Math.max(a.length, b.length); ++i) {
+            if ((a[i] || 0) !== (b[i] || 0)) {
+                return (a[i] || 0) - (b[i] || 0);
+            }
+        }
+
+        return 0;
+    };
+
+    // Reads the releases, leaving out (w/ a warning) any that are invalid,
+    // and splits the Anki series into ranges that every release either runs
+    // on all of or none of, by where each release's min and max fall. Each
+    // range starts at one of `series` and runs up to the next (or up w/o
+    // end, from the last). Series are kept as written (e.g. 25.02), and only
+    // compared as numbers.
+    var getReleases = function () {
+        var VERSION = /^\d+(\.\d+)*$/;
+        var SERIES = /^\d+\.\d+$/;
+
+        var series = [];
+
+        var releases = grunt.file.readJSON(RELEASES).filter(
+            function (release, index) {
+                var anki = release.anki || {};
+                var where = RELEASES + " entry #" + index;
+
+                if (!VERSION.test(release.version)) {
+                    grunt.fail.warn(where + " needs a version like 1.2.3");
+                } else if (!SERIES.test(anki.min) ||
+                  anki.max !== undefined && !SERIES.test(anki.max)) {
+                    grunt.fail.warn(where + " needs Anki series like 2.0");
+                } else if (anki.max !== undefined &&
+                  compareVersions(anki.min, anki.max) > 0) {
+                    grunt.fail.warn(where + " has its Anki max below min");
+                } else if (typeof release.url !== 'string' ||
+                  !Array.isArray(release.notes)) {
+                    grunt.fail.warn(where + " needs a url and a list of " +
+                      "notes");
+                } else {
+                    return true;
+                }
+
+                return false;  // n.b. only reached w/ --force
+            }
+        );
+
+        releases.forEach(function (release) {
+            var max = release.anki.max && release.anki.max.split('.');
+
+            [
+                release.anki.min,
+                max && max[0] + '.' + (Number(max[1]) + 1),  // past the max
+            ].forEach(function (value) {
+                if (value && !series.some(function (known) {
+                    return compareVersions(known, value) === 0;
+                })) {
+                    series.push(value);
+                }
+            });
+        });
+
+        return {releases: releases, series: series.sort(compareVersions)};
+    };
+
+    // Returns a lookup of "<add-on version>-<Anki series>" keys, where the
+    // series starts one of the ranges from `getReleases`, to the update
+    // response that such clients should receive anywhere in that range.
+    var getUpdateResponses = function () {
+        var manifest = getReleases();
+        var releases = manifest.releases;
+        var responses = {};
+
+        releases.forEach(function (client) {
+            manifest.series.forEach(function (anki) {
+                var newest = releases.
+                    filter(function (release) {
+                        return compareVersions(release.version,
+                            client.version) > 0 &&
+                          compareVersions(anki, release.anki.min) >= 0 &&
+                          (release.anki.max === undefined ||
+                            compareVersions(anki, release.anki.max) <= 0);
+                    }).
+                    sort(function (a, b) {
+                        return compareVersions(b.version, a.version);
+                    })[0];
+
+                if (newest) {
+                    responses[client.version + '-' + anki] = {
+                        update: true,
+                        version: newest.version,
+                        notes: newest.notes,
+                        url: newest.url,
+                    };
+                }
+            });
+        });
+
+        return responses;
+    };
+
+    // Returns URLs that clients would ask for a response's key: its first
+    // series, ten minors on, and the last series before the next range
+    // (e.g. 2.2, 2.12, and 3.1 for a range from 2.2 up to 3.2), as far as
+    // the range reaches
+    var getUpdateUrls = function (key) {
+        var series = getReleases().series;
+        var parts = key.split('-');
+        var next = series[series.indexOf(parts[1]) + 1];
+        var low = parts[1].split('.').map(Number);
+        var high = next && next.split('.').map(Number);
+
+        return [
+            parts[1],
+            low[0] + '.' + (low[1] + 10),
+            high && (high[1] ? high[0] + '.' + (high[1] - 1) :
+                (high[0] - 1) + '.' + Math.max(99, low[1])),
+        ].filter(function (anki, index, samples) {
+            return anki && samples.indexOf(anki) === index &&
+                compareVersions(anki, parts[1]) >= 0 &&
+                (!next || compareVersions(anki, next) < 0);
+        }).map(function (anki) {
+            return '/api/update/' + parts[0] + '-' + anki;
+        });
+    };
+
+    grunt.task.registerTask('updates', "Build update API.", function () {
+        var responses = getUpdateResponses();
+
+        Object.keys(responses).forEach(function (key) {
+            grunt.file.write('build/api/update/' + key + '.json',
+              JSON.stringify(responses[key]));
+        });
+
+        grunt.log.ok("Wrote " + Object.keys(responses).length +
+          " update responses.");
+    });
+
+
+    // API Description (openapi) /////////////////////////////////////////////
+    // Everything under /api is described by an OpenAPI document, built to
+    // /api/openapi.json and rendered for people on /contribute/api. Its
+    // operations come from the routes below, which `appyaml` also builds its
+    // /api handlers from, so the two cannot drift apart. The JSON bodies are
+    // described by JSON Schemas kept next to their files (e.g. api/update/
+    // index.schema.json for api/update/index.json), and any schema w/ a title
+    // is also a component under that name, which others can refer to (e.g.
+    // {"$ref": "#/components/schemas/Message"} for the {"message": ...} shape
+    // every error has).
+
+    var API_VERSION = '1.0';
+
+    // errors that relays/__init__.py may respond w/ before or instead of
+    // relaying a request (a 405 is also possible, but only for non-GETs)
+    var API_RELAY_ERRORS = {
+        400: "The query string is missing parameters, has unknown or " +
+            "repeated ones, or is too long",
+        403: "The request did not come from the add-on",
+        429: "The caller has made too many requests recently",
+        502: "The upstream service failed or sent something unexpected",
+        503: "Too many callers have used the relay recently",
+    };
+
+    // Returns the /api routes, most specific first, each w/ its path (in
+    // OpenAPI form), what it does, its parameters, and its responses (where
+    // `schemas` lists the schema files that may describe the body), plus the
+    // app.yaml handlers that serve it.
+    var getApiRoutes = function () {
+        var UPDATES = Object.keys(getUpdateResponses());
+        var SERIES = getReleases().series;
+        var MESSAGE = ['api/message.schema.json'];
+
+        return [
+            {
+                path: '/api/openapi.json',
+                summary: "Describe the API",
+                description: "Returns this document.",
+                responses: {200: {description: "OpenAPI document",
+                  schema: {type: 'object'}}},
+                handlers: [{url: '/api/openapi\\.json',
+                  static_files: 'api/openapi.json',
+                  upload: 'api/openapi\\.json', expiration: '1h'}],
+            },
+            {
+                path: '/api/update/{version}',
+                summary: "Check for an update",
+                description: "Tells an installation of the add-on whether " +
+                  "there is a newer release for its Anki series.",
+                parameters: [{name: 'version', in: 'path', required: true,
+                  description: "The add-on version and Anki series, " +
+                    "e.g. 1.12.0-2.0",
+                  schema: {type: 'string'}}],
+                responses: {200: {description: "Update status",
+                  schemas: ['api/update/release.schema.json',
+                    'api/update/good-version.schema.json']}},
+                // one for each range of series, w/ the clients that get
+                // an update anywhere in it
+                handlers: SERIES.map(function (anki, index) {
+                    var clients = UPDATES.filter(function (key) {
+                        return key.split('-')[1] === anki;
+                    }).map(function (key) {
+                        return key.split('-')[0];
+                    });
+
+                    return clients.length ? {url: '/api/update/' +
+                      gaeRegex(clients, true) + '-' +
+                      gaeSeriesRange(anki, SERIES[index + 1] || null) +
+                      '(\\..*)?',
+                      static_files: 'api/update/\\1-' + anki + '.json',
+                      upload: 'api/update/.+\\.json'} : null;
+                }).concat(
+                    {url: '/api/update/.+',
+                      static_files: 'api/update/good-version.json',
+                      upload: 'api/update/good-version\\.json'}
+                ).filter(Boolean),
+            },
+            {
+                path: '/api/update',
+                summary: "Identify the update endpoint",
+                responses: {200: {description: "Message",
+                  schemas: ['api/update/index.schema.json']}},
+                handlers: [{url: '/api/update',
+                  static_files: 'api/update/index.json',
+                  upload: 'api/update/index\\.json', expiration: '70d'}],
+            },
+        ].concat(Object.keys(RELAYS.relays).map(function (name) {
+            var relay = RELAYS.relays[name];
+            var required = relay.query.required;
+            var responses = {200: {description: "Audio from the service",
+              content: {'audio/*': {schema: {type: 'string',
+                format: 'binary'}}}}};
+
+            Object.keys(API_RELAY_ERRORS).forEach(function (status) {
+                responses[status] = {description: API_RELAY_ERRORS[status],
+                  schemas: MESSAGE};
+            });
+
+            return {
+                path: relay.path,
+                summary: relay.summary,
+                description: "Relays the query to the service, subject " +
+                  "to the limits of the " + relay.tier + " tier.",
+                parameters: [{name: 'User-Agent', in: 'header',
+                  required: true, description: "Must start w/ AwesomeTTS/",
+                  schema: {type: 'string', pattern: '^AwesomeTTS/'}}].
+                    concat(required.concat(relay.query.optional || []).
+                      map(function (param) {
+                          return {name: param, in: 'query',
+                            required: required.indexOf(param) !== -1,
+                            schema: {type: 'string'}};
+                      })),
+                responses: responses,
+                handlers: [{url: gaeRegex([relay.path]),
+                  script: 'relays.' + name}],
+            };
+        }), {
+            path: '/api',
+            summary: "Identify the API",
+            responses: {200: {description: "Message",
+              schemas: ['api/index.schema.json']}},
+            handlers: [{url: '/api', static_files: 'api/index.json',
+              upload: 'api/index\\.json', expiration: '70d'}],
+        });
+    };
+
+    // Returns the OpenAPI document, failing if a schema is missing or used
+    // by nothing, or if a $ref points nowhere.
+    var getOpenApi = function () {
+        var SCHEMAS = '#/components/schemas/';
+        var files = grunt.file.expand('api/**/*.schema.json');
+        var problems = [];
+        var schemas = {};  // component name => schema
+        var used = {};  // schema file => true
+        var paths = {};
+        var openapi;
+
+        var readSchema = function (path) {
+            try {
+                return grunt.file.readJSON(path);
+            } catch (e) {
+                problems.push(path + " cannot be read (" + e.message + ")");
+                return {};
+            }
+        };
+
+        var getSchema = function (path) {
+            var schema;
+
+            if (files.indexOf(path) === -1) {
+                problems.push(path + " is missing");
+                return {};
+            }
+
+            schema = readSchema(path);
+            used[path] = true;
+            return schema.title ? {$ref: SCHEMAS + schema.title} : schema;
+        };
+
+        files.forEach(function (path) {
+            var schema = readSchema(path);
+
+            if (!schema.title) {
+                return;
+            } else if (schemas.hasOwnProperty(schema.title)) {
+                problems.push(path + " reuses the title " + schema.title);
+            }
+            schemas[schema.title] = schema;
+        });
+
+        getApiRoutes().forEach(function (route) {
+            var responses = {};
+
+            Object.keys(route.responses).forEach(function (status) {
+                var response = route.responses[status];
+                var bodies = (response.schemas || []).map(getSchema);
+
+                responses[status] = {
+                    description: response.description,
+                    content: response.content || {'application/json': {
+                        schema: response.schema ||
+                            (bodies.length > 1 ? {oneOf: bodies} : bodies[0]),
+                    }},
+                };
+            });
+
+            paths[route.path] = {get: {
+                summary: route.summary,
+                description: route.description,
+                parameters: route.parameters,
+                responses: responses,
+            }};
+        });
+
+        openapi = {
+            openapi: '3.0.3',
+            info: {
+                title: "AwesomeTTS API",
+                description: "Used by the AwesomeTTS add-on for Anki. " +
+                  "Unknown paths under /api get a 404 w/ a Message.",
+                version: API_VERSION,
+            },
+            servers: [{url: SITE_URL}],
+            paths: paths,
+            components: {schemas: schemas},
+        };
+
+        JSON.stringify(openapi, function (key, value) {
+            if (key === '$ref') {
+                if (value.indexOf(SCHEMAS) !== 0 ||
+                  !schemas.hasOwnProperty(value.substr(SCHEMAS.length))) {
+                    problems.push("nothing is at " + value);
+                }
+                files.forEach(function (path) {
+                    if (SCHEMAS + readSchema(path).title === value) {
+                        used[path] = true;
+                    }
+                });
+            }
+            return value;
+        });
+
+        files.forEach(function (path) {
+            if (!used[path]) {
+                problems.push(path + " is not used by any route");
+            }
+        });
+
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            grunt.fail.warn("The API cannot be described.");
+        }
+
+        return openapi;
+    };
+
+    // Returns the OpenAPI document laid out for the /contribute/api page,
+    // w/ every field that the template checks filled in (so Mustache does
+    // not fall back to a field of the same name further up)
+    var getApiReference = function () {
+        var openapi = getOpenApi();
+        var schemas = openapi.components.schemas;
+
+        var getId = function (prefix, text) {
+            return prefix + '-' + text.toLowerCase().
+                replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        };
+
+        return {
+            openapi: openapi.openapi,
+            info: openapi.info,
+
+            endpoints: Object.keys(openapi.paths).sort().map(function (path) {
+                var operation = openapi.paths[path].get;
+                var parameters = operation.parameters || [];
+
+                return {
+                    id: getId('get', path),
+                    method: 'GET',
+                    path: path,
+                    summary: operation.summary,
+                    description: operation.description || '',
+                    hasParameters: parameters.length > 0,
+                    parameters: parameters.map(function (parameter) {
+                        return {
+                            name: parameter.name,
+                            in: parameter.in,
+                            presence: parameter.required ? 'required' :
+                                'optional',
+                            description: parameter.description || '',
+                        };
+                    }),
+                    responses: Object.keys(operation.responses).
+                        map(function (status) {
+                            var response = operation.responses[status];
+                            var type = Object.keys(response.content)[0];
+                            var schema = response.content[type].schema;
+
+                            return {
+                                status: status,
+                                description: response.description,
+                                type: type,
+                                schemas: (schema.oneOf || [schema]).
+                                    filter(function (body) {
+                                        return body.$ref;
+                                    }).
+                                    map(function (body) {
+                                        var name = body.$ref.split('/').pop();
+                                        return {id: getId('schema', name),
+                                          name: name};
+                                    }),
+                            };
+                        }),
+                };
+            }),
+
+            schemas: Object.keys(schemas).sort().map(function (name) {
+                return {
+                    id: getId('schema', name),
+                    name: name,
+                    description: schemas[name].description || '',
+                    json: JSON.stringify(schemas[name], null, 4),
+                };
+            }),
+        };
+    };
+
+    grunt.task.registerTask('openapi', "Describe API.", function () {
+        var openapi = getOpenApi();
+
+        grunt.file.write('build/api/openapi.json', JSON.stringify(openapi));
+        grunt.log.ok("Described " + Object.keys(openapi.paths).length +
+          " API endpoints.");
+    });
+
+
+    // Stylesheet Compilation (sass) /////////////////////////////////////////
+
+    grunt.task.loadNpmTasks('grunt-sass');
+    config.sass = {
+        style: {files: {'build/style.css': 'style.scss'}},
+    };
+
+
+    // Stylesheet Minification In-Place (cssmin) /////////////////////////////
+
+    grunt.task.loadNpmTasks('grunt-contrib-cssmin');
+    config.cssmin = {
+        options: {keepSpecialComments: 0},
+        style: {files: {'build/style.css': 'build/style.css'}},
+    };
+
+
+    // Page Template Preparation (templates) /////////////////////////////////
+    // n.b. braces are escaped in HTML converted from Markdown, so any in   //
+    // there (e.g. Anki's {{Field}} syntax) show up literally instead of    //
+    // being taken as Mustache tags                                         //
+
+    grunt.task.registerTask('templates', "Prepare templates.", function () {
+        var marked = require('marked').marked;
+        var paths = grunt.file.expand(
+            'pages/**/*.{mustache,md}',
+            'l10n/**/*.{mustache,md}'
+        );
+
+        paths.forEach(function (path) {
+            var body = readFrontMatter(path).body;
+
+            if (/\.md$/.test(path)) {
+                body = [
+                    '{{> above}}',
+                    marked.parse(body, {
+                        gfm: true,
+                        headerIds: false,  // `replace:anchors` gives these
+                        mangle: false,
+                    }).replace(/\{/g, '&#123;').replace(/\}/g, '&#125;'),
+                    '{{> below}}',
+                    '',
+                ].join('\n');
+            }
+
+            grunt.file.write(getBuildTemplate(path), body);
+        });
+
+        grunt.log.ok("Prepared " + paths.length + " page templates.");
+    });
+
+
+    // HTML Generation from Mustache Templates (mustache_render) /////////////
+
+    // n.b. getMustacheRenderPages() is also used by `watch`, to pick up
+    // changes to the navigation when any page's front matter is edited
 
     grunt.task.loadNpmTasks('grunt-mustache-render');
-    (function () {
+    var getMustacheRenderPages = (function () {
         var homeHelper = function (page, masthead) {
             return [
-                '<a href="/" rel="',
+                '<a href="', page.homeHref || '/', '" rel="',
                      page.isHome && 'home index me' ||
                     (page.parent || page.isDynamic) && 'home index' ||
                     'home index parent',
@@ -250,188 +2079,1429 @@ module.exports = function (grunt) {
             ].join('');
         };
 
-        var linkHelper = function (ctx, page, verbose) {
-            var rels = '';
-            var me = ctx.me || ctx;
+        var linkHelper = function (ctx, page, verbose) {
+            var rels = '';
+            var me = ctx.me || ctx;
+
+            if (page.isHome) {
+                if (!ctx.parent) {
+                    rels = ' rel="child"';
+                }
+            } else if (page.me) {
+                rels = me.href === page.me.href && 'me' ||
+                    page.parent && me.href === page.parent.href && 'parent' ||
+                    page.prev && me.href === page.prev.href && 'prev' ||
+                    page.next && me.href === page.next.href && 'next' ||
+                    ctx.parent && ctx.parent.href === page.me.href && 'child';
+
+                rels = rels ? [' rel="', '"'].join(rels) : '';
+            }
+
+            return [
+                '<a href="', me.href, '"', rels, '>',
+                verbose ? me.title : me.terse,
+                '</a> ',
+                verbose ? '<br>' + me.what : "",
+            ].join('');
+        };
+
+        var data = function (node, sitemap, locale, versions) {
+            var result = {
+                helpers: {
+                    child: function () {
+                        return linkHelper(this, node, true);
+                    },
+                    home: function () {
+                        return homeHelper(result);
+                    },
+                    link: function () {
+                        return linkHelper(this, node);
+                    },
+                    masthead: function () {
+                        return homeHelper(this, node, true);
+                    },
+                },
+
+                homeHref: locale ? '/' + locale : '/',
+                lang: getLocale(locale).lang,
+                sitemap: sitemap,
+            };
+
+            // versions lists this page as rendered for each locale, which
+            // becomes the hreflang alternates and the language switcher
+            if (versions && versions.length > 1) {
+                result.alternates = versions.
+                    filter(function (version) { return !version.isFallback; }).
+                    map(function (version) {
+                        return {href: SITE_URL + version.href,
+                          lang: getLocale(version.locale).lang};
+                    }).
+                    concat({href: SITE_URL + versions[0].href,
+                      lang: 'x-default'});
+
+                result.hasLanguages = true;
+                result.languages = versions.map(function (version) {
+                    return {
+                        href: version.href,
+                        isCurrent: version.locale === locale,
+                        lang: getLocale(version.locale).lang,
+                        name: getLocale(version.locale).name,
+                    };
+                });
+            }
+
+            Object.keys(node).forEach(function (key) {
+                result[key] = node[key];
+            });
+
+            return result;
+        };
+
+        // Search engines and link previews get a description (the page's
+        // what), Open Graph and Twitter card tags w/ a screenshot, and
+        // JSON-LD w/ the page's breadcrumbs and what it is about (the add-on
+        // on the home page, an article anywhere else). The front matter can
+        // override the description, the screenshot (a PNG in images/, else
+        // it is the first on the page, else the parent page's), and the
+        // schema.org type.
+        //
+        // n.b. `fingerprint` also rewrites the absolute image URLs
+        var APP_ID = SITE_URL + '/#app';
+        var FIRST_IMAGE = /<img\b[^>]*\ssrc=["']?\/([^"'\s>]+\.png)\b/;
+        var SCREENSHOT = 'config.png';
+
+        var social = function (page, screenshots, release) {
+            var node = page.node;
+            var own = readFrontMatter(page.template).meta;
+            var english = page.locale && !page.isFallback ?
+                readFrontMatter(findTemplate(page.template.
+                    replace(/^l10n\/[^\/]+/, 'pages').
+                    replace(/\.(mustache|md)$/, ''))).meta :
+                own;
+            var homeHref = page.locale ? '/' + page.locale : '/';
+            var lang = getLocale(page.isFallback ? null : page.locale).lang;
+            var title = node.isHome ? "AwesomeTTS for Anki" : node.me.title;
+            var first = FIRST_IMAGE.exec(grunt.file.read(page.template));
+            var screenshot = own.image || english.image || first && first[1] ||
+                (node.isHome ? SCREENSHOT :
+                  screenshots[node.parent ? node.parent.href : homeHref]);
+            var description = own.description ||
+                !own.what && english.description ||
+                !node.isHome && node.me.what ||
+                "Easily add text-to-speech to your Anki cards";
+            var type = own.type || english.type ||
+                (node.isHome ? 'SoftwareApplication' : 'TechArticle');
+            var size;
+            var entity;
+
+            if (!grunt.file.isFile('images/' + screenshot)) {
+                grunt.fail.warn("The screenshot for " + page.href + ", " +
+                  screenshot + ", is not in images/");
+                return null;
+            }
+            screenshots[page.href] = screenshot;
+            size = getPngSize('images/' + screenshot);
+
+            entity = {
+                '@type': type,
+                name: title,
+                description: description,
+                url: SITE_URL + page.href,
+                image: SITE_URL + '/' + screenshot,
+                inLanguage: lang,
+            };
+
+            if (type === 'SoftwareApplication') {
+                entity['@id'] = APP_ID;
+                entity.applicationCategory = 'EducationalApplication';
+                entity.operatingSystem = 'Windows, macOS, Linux';
+                entity.offers = {'@type': 'Offer', price: '0',
+                  priceCurrency: 'USD'};
+                if (release) {
+                    entity.softwareVersion = release.version;
+                    entity.downloadUrl = release.url;
+                }
+            } else {
+                entity.headline = title;
+                entity.about = {'@id': APP_ID};
+            }
+
+            return {
+                description: description,
+                image: {url: SITE_URL + '/' + screenshot, width: size.width,
+                  height: size.height},
+                locale: lang.replace('-', '_'),
+                title: title,
+                type: node.isHome ? 'website' : 'article',
+                url: SITE_URL + page.href,
+
+                // n.b. escaping "<" keeps the JSON from closing its <script>
+                jsonLd: JSON.stringify({
+                    '@context': 'https://schema.org',
+                    '@graph': [entity].concat(node.isHome ? [] : {
+                        '@type': 'BreadcrumbList',
+                        itemListElement: [{title: "Home", href: homeHref}].
+                            concat(node.ancestors, node.me).
+                            map(function (crumb, index) {
+                                return {'@type': 'ListItem',
+                                  position: index + 1, name: crumb.title,
+                                  item: SITE_URL + crumb.href};
+                            }),
+                    }),
+                }).replace(/</g, '\\u003c'),
+            };
+        };
+
+        var getMustacheRenderPages = function () {
+            var pages = getPages();
+            var openapi = getApiReference();
+            var release = getReleases().releases.
+                sort(function (a, b) {
+                    return compareVersions(b.version, a.version);
+                })[0];
+            var screenshots = {};  // href => image, inherited by children
+            var sitemaps = {};  // locale => tree, as found on its home page
+            var versions = {};
+
+            pages.forEach(function (page) {
+                if (page.node.isHome) {
+                    sitemaps[page.locale] = page.node.children;
+                }
+                versions[page.path] = (versions[page.path] || []).
+                    concat(page);
+            });
+
+            return pages.map(function (page) {
+                var view = data(page.node, sitemaps[page.locale],
+                  page.locale, versions[page.path]);
+
+                view.openapi = openapi;  // for the API reference page
+                if (page.isFallback) {
+                    view.articleLang = getLocale(null).lang;
+                }
+                view.social = social(page, screenshots, release);
+                return {
+                    data: view,
+                    template: getBuildTemplate(page.template),
+                    dest: 'build/' + page.html,
+                };
+            });
+        };
+
+        config.mustache_render = {
+            options: {clear_cache: doWatch, directory: 'partials/'},
+
+            pages: {files: getMustacheRenderPages()},
+
+            relaysPy: {files: [{
+                data: {
+                    keys: KEYS.relays,
+                    relays: Object.keys(RELAYS.relays).map(function (name) {
+                        var relay = RELAYS.relays[name];
+
+                        return {
+                            name: name,
+                            required: JSON.stringify(relay.query.required),
+                            optional: JSON.stringify(relay.query.optional ||
+                              []),
+                            tier: relay.tier,
+                        };
+                    }),
+                    tiers: Object.keys(RELAYS.tiers).map(function (name) {
+                        return {name: name, levels: RELAYS.tiers[name]};
+                    }),
+                },
+                template: RELAYS_TEMPLATE,
+                dest: 'build/relays/__init__.py',
+            }]},
+
+            unresolvedError404: {files: [{
+                data: data({
+                    me: {title: "Not Found"},
+                    isDynamic: true,
+                    isHome: false,
+                    isInterior: false,
+                    isParent: false,
+                }, getSitemap(null)),
+                template: 'unresolved/error404.mustache',
+                dest: 'build/unresolved/error404.html',
+            }]},
+
+            unresolvedRedirect: {files: [{
+                data: data({
+                    me: {title: "Moved Permanently"},
+                    isDynamic: true,
+                    isHome: false,
+                    isInterior: false,
+                    isParent: false,
+                }, getSitemap(null)),
+                template: 'unresolved/redirect.mustache',
+                dest: 'build/unresolved/redirect.html',
+            }]},
+        };
+
+        return getMustacheRenderPages;
+    }());
+
+
+    // HTML Path Simplification In-Place (replace) ///////////////////////////
+
+    grunt.task.loadNpmTasks('grunt-replace');
+    config.replace = {
+        // keeps links within a locale's tree, so readers stay in their own
+        // language even on pages that fell back to the English template
+        // (n.b. must come first, so the other targets see its output)
+        locales: {
+            files: [{expand: true, cwd: 'build/',
+              src: Object.keys(LOCALES).map(function (code) {
+                  return 'pages/' + code + '/**/*.html';
+              }),
+              dest: 'build/'}],
+            options: {patterns: [{
+                match: /href="\/(\w[^"#]*)(#[^"]*)?"(?! hreflang=)/g,
+                replacement: (function (paths) {
+                    return function (match, url, hash, offset, html, path) {
+                        return paths.indexOf('/' + url) === -1 ? match :
+                            ['href="/', path.split('/')[2], '/', url,
+                              hash || '', '"'].join('');
+                    };
+                }(getPages().filter(function (page) {
+                    return !page.locale;
+                }).map(function (page) {
+                    return page.href;
+                }))),
+            }]},
+        },
+
+        // shortens links that stay within the directory a page is served
+        // from (e.g. /usage/editor links to /usage/groups as "groups", and
+        // the top-level pages link to anything that way), at any depth
+        relatives: {
+            files: [{expand: true, cwd: 'build/',
+              src: 'pages/**/*.html', dest: 'build/'}],
+            options: {patterns: [{
+                match: /(href|src)="\/(\w[^"]*)"/g,
+                replacement: function (match, attr, url, offset, html, path) {
+                    var dir = path.
+                        replace(/^build\/pages\/|(\/index)?\.html$/g, '').
+                        replace(/[^\/]*$/, '');
+
+                    return url.indexOf(dir) === 0 && url.length > dir.length ?
+                        [attr, '="', url.substr(dir.length), '"'].join('') :
+                        match;
+                },
+            }]},
+        },
+
+        // gives section headings an id (if they lack one) for deep linking
+        anchors: {
+            files: [{expand: true, cwd: 'build/',
+              src: 'pages/**/*.html', dest: 'build/'}],
+            options: {patterns: [{
+                match: /<(h[23])>([\s\S]*?)<\/\1>/g,
+                replacement: function (match, tag, inner, offset, html) {
+                    var slugify = function (inner) {
+                        return inner.
+                            replace(/<[^>]*>|&[#\w]+;/g, ' ').
+                            toLowerCase().
+                            replace(/[^a-z0-9]+/g, '-').
+                            replace(/^-|-$/g, '') || 'section';
+                    };
+                    var slug = slugify(inner);
+                    var earlier = html.substr(0, offset).
+                        match(/<(h[23])>([\s\S]*?)<\/\1>/g) || [];
+                    var dupes = earlier.filter(function (heading) {
+                        return slugify(heading.replace(/<\/?h[23]>/g, '')) ===
+                            slug;
+                    }).length;
+
+                    return ['<', tag, ' id="', slug,
+                        dupes ? '-' + (dupes + 1) : '', '">', inner, '</',
+                        tag, '>'].join('');
+                },
+            }]},
+        },
+    };
+
+
+    // Responsive Image Markup In-Place (srcsets) ////////////////////////////
+    // n.b. tags that already have a srcset are left alone, which keeps     //
+    // this safe to rerun over pages `watch` did not re-render              //
+
+    grunt.task.registerTask('srcsets', "Add image srcsets.", function () {
+        var IMG = /<img\b[^>]*>/g;
+        var SRC = /\ssrc=("[^"]*"|'[^']*'|[^\s"'>]+)/;
+        var MANAGED =
+            /\s(width|height|loading|sizes)=("[^"]*"|'[^']*'|[^\s"'>]+)/g;
+
+        // n.b. a div.grid only ever holds figures (no nested divs)
+        var GRID = new RegExp('<div\\b[^>]*\\sclass=("[^"]*\\bgrid\\b[^"]*"|' +
+          "'[^']*\\bgrid\\b[^']*'|grid)[^>]*>[\\s\\S]*?</div>", 'g');
+
+        // Figures get at most 90% of the article on narrow screens, and from
+        // 800px on, at most 60% (or 48% in a div.grid) of an article that is
+        // 75% of the body, less 20px of padding, where the body stops growing
+        // at $fixedWidthAfter (all as laid out by style.scss).
+        var BODY_MAX_WIDTH = 1400;
+        var getSizes = function (share) {
+            return [
+                '(min-width: ' + BODY_MAX_WIDTH + 'px) ' +
+                    Math.round(share * (BODY_MAX_WIDTH * 0.75 - 20)) + 'px',
+                '(min-width: 800px) ' + Math.round(share * 75) + 'vw',
+                '90vw',
+            ].join(', ');
+        };
+        var SIZES = getSizes(0.6);
+        var GRID_SIZES = getSizes(0.48);
+
+        var variants = getPngVariants();
+        var count = 0;
+
+        grunt.file.expand(
+            'build/pages/**/*.html',
+            'build/unresolved/*.html'
+        ).forEach(function (path) {
+            var html = grunt.file.read(path);
+            var grids = [];  // start and end of each div.grid
+            var match;
+
+            GRID.lastIndex = 0;
+            while ((match = GRID.exec(html)) !== null) {
+                grids.push([match.index, GRID.lastIndex]);
+            }
+
+            grunt.file.write(path, html.replace(
+                IMG,
+                function (tag, offset) {
+                    var src = SRC.exec(tag);
+                    var url = src && src[1].replace(/^["']|["']$/g, '');
+                    var file = url && 'images/' +
+                        url.replace(/^\//, '').replace(FINGERPRINT, '');
+                    var png;
+
+                    if (/\ssrcset=/.test(tag) || !/\.png$/.test(file) ||
+                      !grunt.file.exists(file)) {
+                        return tag;
+                    }
+
+                    png = getPngSize(file);
+                    png.variants = variants[file] || [];
+                    count += 1;
+
+                    return tag.replace(MANAGED, '').replace(/\s*\/?>$/, [
+                        ' width="', png.width, '" height="', png.height,
+                        '" loading="lazy"',
+                        png.variants.length ? [' srcset="',
+                            png.variants.map(function (variant) {
+                                return url.replace(/\.png$/,
+                                  '-' + variant.width + 'w.png') + ' ' +
+                                  variant.width + 'w';
+                            }).concat(url + ' ' + png.width + 'w').
+                                join(', '),
+                            '" sizes="', grids.some(function (grid) {
+                                return offset > grid[0] && offset < grid[1];
+                            }) ? GRID_SIZES : SIZES, '"'].join('') : '',
+                        '>',
+                    ].join(''));
+                }
+            ));
+        });
+
+        grunt.log.ok("Added dimensions to " + count + " images.");
+    });
+
+
+    // Full-Text Search Index (searchindex) //////////////////////////////////
+    // n.b. the index is a list of pages (each w/ its sections) and a term  //
+    // lookup of flattened [page, section, weight, ...] triplets, where -1  //
+    // as a section means the text ahead of the first heading on that page  //
+
+    grunt.task.registerTask('searchindex', "Build search index.", function () {
+        var ATTR_ID = /\bid=("[^"]*"|'[^']*'|[^\s"'>]+)/;
+        var HEADING = /<(h[23])\b([^>]*)>([\s\S]*?)<\/\1>/g;
+        var ENTITIES = {amp: '&', gt: '>', hellip: '...', ldquo: '"',
+          lsquo: "'", lt: '<', mdash: '-', nbsp: ' ', ndash: '-', quot: '"',
+          rdquo: '"', rsquo: "'"};
+        var STOP_WORDS = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by',
+          'can', 'for', 'from', 'if', 'in', 'is', 'it', 'of', 'on', 'or',
+          'that', 'the', 'this', 'to', 'will', 'with', 'you', 'your'];
+        var WEIGHT_TITLE = 10;
+        var WEIGHT_HEADING = 4;
+        var WEIGHT_TEXT = 1;
+
+        var terms = {};
+
+        var toText = function (html) {
+            return html.
+                replace(/<[^>]*>/g, ' ').
+                replace(/&(#?\w+);/g, function (entity, name) {
+                    return name.charAt(0) === '#' ?
+                        String.fromCharCode(parseInt(name.substr(1), 10)) :
+                        ENTITIES[name] || ' ';
+                }).
+                replace(/\s+/g, ' ').
+                trim();
+        };
+
+        var tally = function (text, page, section, weight) {
+            text.toLowerCase().split(/[^a-z0-9]+/).forEach(function (term) {
+                if (term.length < 2 || STOP_WORDS.indexOf(term) !== -1) {
+                    return;
+                }
+
+                var postings = terms.hasOwnProperty(term) ? terms[term] :
+                    (terms[term] = []);
+                var last = postings.length - 3;
+
+                if (last >= 0 && postings[last] === page &&
+                    postings[last + 1] === section) {
+                    postings[last + 2] += weight;
+                } else {
+                    postings.push(page, section, weight);
+                }
+            });
+        };
+
+        // n.b. the index (like search.js) only covers the English pages
+        var pages = getPages().filter(function (page) {
+            return !page.locale;
+        }).map(function (page, pageIndex) {
+            var html = grunt.file.read('build/' + page.html);
+            var article = (/<article>([\s\S]*?)<\/article>/.exec(html) ||
+                [null, ''])[1];
+            var me = page.node.isHome ? {title: "About AwesomeTTS",
+              what: "Easily add text-to-speech to your Anki cards"} :
+                page.node.me;
+            var sections = [];
+            var cursor = 0;
+            var section = -1;
+            var match;
+
+            tally(me.title + ' ' + me.what, pageIndex, -1, WEIGHT_TITLE);
+
+            // the first heading inside the article is the page title
+            article = article.replace(/^\s*<h1>[\s\S]*?<\/h1>/, '');
+
+            HEADING.lastIndex = 0;
+            while ((match = HEADING.exec(article)) !== null) {
+                tally(toText(article.slice(cursor, match.index)),
+                  pageIndex, section, WEIGHT_TEXT);
+
+                section = sections.length;
+                sections.push([
+                    (ATTR_ID.exec(match[2]) || [null, ''])[1].
+                        replace(/^["']|["']$/g, ''),
+                    toText(match[3]),
+                ]);
+                tally(sections[section][1], pageIndex, section,
+                  WEIGHT_HEADING);
+                cursor = HEADING.lastIndex;
+            }
+            tally(toText(article.slice(cursor)), pageIndex, section,
+              WEIGHT_TEXT);
+
+            return {href: page.href, title: me.title, what: me.what,
+              sections: sections};
+        });
+
+        grunt.file.write('build/search.json',
+          JSON.stringify({pages: pages, terms: terms}));
+        grunt.log.ok("Indexed " + Object.keys(terms).length + " terms in " +
+          pages.length + " pages.");
+    });
+
+
+    // XML Sitemap for Search Engines (sitemapxml) ///////////////////////////
+    // n.b. each <lastmod> is the last commit date of the page's template,  //
+    // so it is omitted for templates that have never been committed        //
+
+    grunt.task.registerTask('sitemapxml', "Build sitemap.xml.", function () {
+        var done = this.async();
+        var exec = require('child_process').exec;
+
+        // pages a locale shows in English are left to their English URLs
+        var pages = getPages().filter(function (page) {
+            return !page.isFallback;
+        });
+        var results = {};
+
+        var escape = function (string) {
+            return string.replace(/&/g, '&amp;').replace(/</g, '&lt;').
+                replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        };
+
+        var finish = function () {
+            grunt.file.write('build/sitemap.xml', Array.prototype.concat(
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<urlset ' +
+                    'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+                pages.map(function (page) {
+                    var lastmod = results[page.href];
+
+                    return [
+                        '  <url>',
+                        '    <loc>' + escape(SITE_URL + page.href) + '</loc>',
+                        lastmod ? '    <lastmod>' + lastmod + '</lastmod>' :
+                            null,
+                        '  </url>',
+                    ].filter(Boolean).join('\n');
+                }),
+                '</urlset>',
+                ''
+            ).join('\n'));
+
+            grunt.log.ok("Wrote sitemap.xml with " + pages.length + " URLs.");
+            done();
+        };
+
+        pages.forEach(function (page) {
+            exec(
+                'git log -1 --format=%cI -- ' + page.template,
+                {timeout: 5000},
+                function (error, stdout, stderr) {
+                    results[page.href] = !error && !stderr && stdout.trim();
+
+                    if (!results[page.href]) {
+                        grunt.verbose.writeln("No git history for " +
+                          page.template);
+                    }
+
+                    if (pages.every(function (page) {
+                        return results.hasOwnProperty(page.href);
+                    })) {
+                        finish();
+                    }
+                }
+            );
+        });
+    });
+
+
+    // Broken Link and Orphaned Image Checker (linkcheck) ////////////////////
+    // n.b. this runs ahead of `htmlmin` so line numbers mean something,    //
+    // but can still parse pages that have already been minified (in watch) //
+
+    grunt.task.registerTask('linkcheck', "Verify page links.", function () {
+        var resolve = require('url').resolve;
+        var ATTRIBUTES = /\b(href|src)=("[^"]*"|'[^']*'|[^\s"'>]+)/g;
+        var IDS = /\bid=("[^"]*"|'[^']*'|[^\s"'>]+)/g;
+        var EXTERNAL = /^([a-z][\-+.a-z0-9]*:|\/\/)/i;
+
+        var redirects = getRedirects();
+        var pages = getPages().map(function (page) {
+            return {href: page.href, path: 'build/' + page.html,
+              html: grunt.file.read('build/' + page.html)};
+        });
+        var images = grunt.file.expand('images/*.{gif,png}');
+        var styles = grunt.file.read('style.scss');
+
+        var targets = {};  // path => list of fragment ids, or null if none
+        var referenced = {};
+        var problems = [];
+
+        var unquote = function (value) {
+            return value.replace(/^["']|["']$/g, '').replace(/&amp;/g, '&');
+        };
+
+        var lineOf = function (html, offset) {
+            return html.substr(0, offset).split('\n').length;
+        };
+
+        pages.forEach(function (page) {
+            var ids = [];
+            var match;
+
+            IDS.lastIndex = 0;
+            while ((match = IDS.exec(page.html)) !== null) {
+                ids.push(unquote(match[1]));
+            }
+
+            targets[page.href] = ids;
+        });
+        images.forEach(function (path) {
+            targets[path.replace(/^images/, '')] = null;
+        });
+        ['/apple-touch-icon.png', '/favicon.ico', '/manifest.webmanifest',
+          '/offline.js', '/robots.txt', '/search.js', '/search.json',
+          '/style.css', '/.well-known/dnt-policy.txt',
+          '/api/openapi.json'].forEach(function (path) {
+            targets[path] = null;
+        });
+
+        pages.forEach(function (page) {
+            var match;
+
+            ATTRIBUTES.lastIndex = 0;
+            while ((match = ATTRIBUTES.exec(page.html)) !== null) {
+                var value = unquote(match[2]);
+                var where = page.path + ':' + lineOf(page.html, match.index);
+                var parts;
+                var path;
+                var redirect;
+
+                if (EXTERNAL.test(value)) {
+                    continue;
+                }
+
+                parts = resolve(page.href, value).split('#');
+                path = parts[0].split('?')[0].replace(FINGERPRINT, '');
+                referenced[path] = true;
+
+                redirect = !targets.hasOwnProperty(path) &&
+                    redirects.resolve(path);
+                if (redirect && !redirect.cycle) {
+                    path = redirect.path;
+                    grunt.log.warn(where + ": " + match[1] + "=\"" + value +
+                      "\" goes through a redirect; link to " + path +
+                      " instead");
+                    referenced[path] = true;
+                }
+
+                if (!targets.hasOwnProperty(path)) {
+                    problems.push(where + ": " + match[1] + "=\"" + value +
+                      "\" points to nothing (" + path + ")");
+                } else if (parts[1] && (!targets[path] ||
+                    targets[path].indexOf(parts[1]) === -1)) {
+                    problems.push(where + ": " + match[1] + "=\"" + value +
+                      "\" points to a missing anchor on " + path);
+                }
+            }
+        });
+
+        images.forEach(function (path) {
+            var name = path.replace(/^images\//, '');
+
+            if (!referenced['/' + name] && styles.indexOf(name) === -1) {
+                grunt.log.warn(path + " is not referenced by any page");
+            }
+        });
+
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            return false;
+        }
+
+        grunt.log.ok("Links on " + pages.length + " pages are good.");
+    });
+
+
+    // Asset Fingerprinting (fingerprint) ////////////////////////////////////
+    // n.b. names hashed by an earlier run are recognized and updated, so   //
+    // `watch` can redo this after rebuilding just one asset or one page    //
+
+    grunt.task.registerTask('fingerprint', "Hash asset names.", function () {
+        var crypto = require('crypto');
+        var ATTRIBUTES = /\b(href|src|srcset)=("[^"]*"|'[^']*'|[^\s"'>]+)/g;
+        var ABSOLUTE_URLS = /(["'])(https?:\/\/[^"'\s]+)\1/g;
+        var URLS = /url\((["']?)([^"')]+)\1\)/g;
+
+        var manifest = getFingerprints();
+        var urls = {};  // served name => hashed name, both w/o leading slash
+
+        // copies the unhashed build/<path> to its hashed name, removing any
+        // stale copy left over from an earlier run
+        var hash = function (path) {
+            var digest = crypto.createHash('md5').
+                update(grunt.file.read('build/' + path, {encoding: null})).
+                digest('hex').substr(0, 8);
+            var hashed = path.replace(/(\.\w+)$/, '.' + digest + '$1');
+
+            grunt.file.expand(
+                'build/' + path.replace(/(\.\w+)$/, '.*$1')
+            ).forEach(function (stale) {
+                if (stale.replace(FINGERPRINT, '') === 'build/' + path &&
+                  stale !== 'build/' + hashed) {
+                    grunt.file.delete(stale);
+                }
+            });
+
+            grunt.file.copy('build/' + path, 'build/' + hashed);
+            manifest[path] = hashed;
+        };
+
+        var rewrite = function (value) {
+            var slash = value.charAt(0) === '/' ? '/' : '';
+            var name = value.substr(slash.length).replace(FINGERPRINT, '');
+
+            return urls.hasOwnProperty(name) ? slash + urls[name] : value;
+        };
+
+        var stylesheet = grunt.file.exists('build/style.css') ?
+            'build/style.css' : manifest['style.css'] &&
+                'build/' + manifest['style.css'];
+
+        grunt.file.expand('build/images/*.{gif,png}').forEach(function (path) {
+            if (!FINGERPRINT.test(path)) {
+                hash(path.replace(/^build\//, ''));
+            }
+        });
+        Object.keys(manifest).forEach(function (path) {
+            urls[path.replace(/^images\//, '')] =
+                manifest[path].replace(/^images\//, '');
+        });
+
+        // images are rewritten into the stylesheet before it gets hashed
+        if (stylesheet && grunt.file.exists(stylesheet)) {
+            grunt.file.write(
+                'build/style.css',
+                grunt.file.read(stylesheet).replace(
+                    URLS,
+                    function (match, quote, url) {
+                        return ['url(', quote, rewrite(url), quote, ')'].
+                            join('');
+                    }
+                )
+            );
+            hash('style.css');
+            urls['style.css'] = manifest['style.css'];
+        } else {
+            grunt.log.warn("No stylesheet to fingerprint in build/");
+        }
+
+        grunt.file.expand(
+            'build/pages/**/*.html',
+            'build/unresolved/*.html'
+        ).forEach(function (path) {
+            grunt.file.write(path, grunt.file.read(path).replace(
+                ATTRIBUTES,
+                function (match, attr, value) {
+                    var quote = /^["']/.test(value) ? value.charAt(0) : '';
+
+                    value = value.replace(/^["']|["']$/g, '');
+                    return [attr, '=', quote,
+                        attr === 'srcset' ?
+                            value.replace(/[^\s,]+(?=\s+\d+w)/g, rewrite) :
+                            rewrite(value),
+                        quote].join('');
+                }
+            ).replace(
+                // e.g. the link preview and JSON-LD images on every page
+                ABSOLUTE_URLS,
+                function (match, quote, url) {
+                    return url.indexOf(SITE_URL + '/') === 0 ?
+                        [quote, SITE_URL,
+                          rewrite(url.substr(SITE_URL.length)), quote].
+                            join('') :
+                        match;
+                }
+            ));
+        });
+
+        grunt.file.write(FINGERPRINTS, JSON.stringify(manifest));
+        grunt.log.ok("Fingerprinted " + Object.keys(manifest).length +
+          " assets.");
+    });
+
+
+    // HTML Minification In-Place (htmlmin) //////////////////////////////////
+    // n.b. we run this one in-place in order to operate on mustache output //
+
+    grunt.task.loadNpmTasks('grunt-contrib-htmlmin');
+    config.htmlmin = {
+        options: {collapseBooleanAttributes: true, collapseWhitespace: true,
+          html5: true, minifyCSS: true, removeAttributeQuotes: true,
+          removeComments: true, removeEmptyAttributes: true,
+          removeEmptyElements: true, removeOptionalTags: true,
+          removeRedundantAttributes: true, removeStyleLinkTypeAttributes: true,
+          sortAttributes: true, sortClassName: true},
+
+        pages: {expand: true, cwd: 'build/', src: 'pages/**/*.html',
+          dest: 'build/'},
+        unresolvedError404: {expand: true, cwd: 'build/',
+          src: 'unresolved/error404.html', dest: 'build/'},
+        unresolvedRedirect: {expand: true, cwd: 'build/',
+          src: 'unresolved/redirect.html', dest: 'build/'},
+    };
+
+
+    // Security Headers and Content-Security-Policy (headers) ////////////////
+    // Response headers are set per class of handler in headers.json, where
+    // "all" applies everywhere and "html", "images", "css", and "api" add to
+    // (or override) it for those handlers. A Content-Security-Policy given as
+    // an object of directives, e.g. {"script-src": "'self'"}, gets hashes of
+    // the inline scripts and styles found in the rendered pages appended, and
+    // every page is then checked for anything else the policy would block.
+    //
+    // n.b. this runs after `htmlmin`, so the hashes are of inline code as it
+    // is served (e.g. style attributes after `minifyCSS` has had its way)
+
+    // Decodes an attribute value (quoted or not) from the HTML
+    var decodeHtml = function (value) {
+        return value.replace(/^["']|["']$/g, '').
+            replace(/&quot;/g, '"').replace(/&#39;/g, "'").
+            replace(/&lt;/g, '<').replace(/&gt;/g, '>').
+            replace(/&amp;/g, '&');
+    };
+
+    // Returns a lookup of the attributes in the inside of a start tag (i.e.
+    // after its name), w/ lowercased names and decoded values
+    var parseAttributes = function (string) {
+        var ATTRIBUTES = /([^\s=]+)(?:=("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+        var attributes = {};
+        var match;
+
+        while ((match = ATTRIBUTES.exec(string)) !== null) {
+            attributes[match[1].toLowerCase()] =
+                match[2] === undefined ? '' : decodeHtml(match[2]);
+        }
+
+        return attributes;
+    };
+
+    grunt.task.registerTask('headers', "Build response headers.", function () {
+        var crypto = require('crypto');
+        var CLASSES = ['all', 'html', 'images', 'css', 'api'];
+        var CSP = 'Content-Security-Policy';
+        var ELEMENTS = /<([a-z][a-z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+        var CONTENTS = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+        var SCRIPT_TYPES =
+            /^(|module|(text|application)\/(x-)?(java|ecma)script)$/i;
+        var HOST_SOURCE = /^(?:([a-z][a-z0-9+.\-]*):\/\/)?(\*\.)?([^\/:']+)/i;
+
+        // which directive governs what each element's attribute loads
+        var LOADS = {
+            'audio src': 'media-src', 'base href': 'base-uri',
+            'embed src': 'object-src', 'form action': 'form-action',
+            'frame src': 'frame-src', 'iframe src': 'frame-src',
+            'img src': 'img-src', 'img srcset': 'img-src',
+            'object data': 'object-src', 'script src': 'script-src',
+            'source src': 'media-src', 'source srcset': 'img-src',
+            'video poster': 'img-src', 'video src': 'media-src',
+        };
+
+        // directives left unset fall back to these (or default-src)
+        var FALLBACKS = {'frame-src': 'child-src'};
+        var NO_DEFAULT = ['base-uri', 'form-action', 'frame-ancestors'];
+
+        var policy = grunt.file.readJSON('headers.json');
+        var result = {};
+        var problems = [];
+        var inline = {script: {}, style: {}};  // hash => true
+        var hasStyleAttributes = false;
+        var pages = grunt.file.expand(
+            'build/pages/**/*.html',
+            'build/unresolved/*.html'
+        ).map(function (path) {
+            return {path: path, html: grunt.file.read(path)};
+        });
+        var csp;
+
+        var hash = function (code) {
+            return "'sha256-" + crypto.createHash('sha256').
+                update(code, 'utf8').digest('base64') + "'";
+        };
+
+        // returns the sources that apply to a directive, or null if the
+        // policy leaves it unrestricted
+        var sourcesFor = function (directive) {
+            var names = [directive, FALLBACKS[directive]].
+                concat(NO_DEFAULT.indexOf(directive) === -1 ?
+                    'default-src' : []).
+                filter(Boolean);
+
+            return names.reduce(function (found, name) {
+                return found || (csp.hasOwnProperty(name) ?
+                    csp[name].split(/\s+/).filter(Boolean) : null);
+            }, null);
+        };
+
+        var allowsInline = function (sources) {
+            return !sources || sources.indexOf("'unsafe-inline'") !== -1 &&
+                !sources.some(function (source) {
+                    return /^'(sha\d+|nonce)-/.test(source);
+                });
+        };
+
+        var allowsUrl = function (sources, url) {
+            var match = /^(?:([a-z][a-z0-9+.\-]*):)?\/\/([^\/?#:]+)/i.
+                exec(url);
+            var scheme;
+            var host;
+
+            if (!sources) {
+                return true;
+            } else if (/^data:/i.test(url)) {
+                return sources.indexOf('data:') !== -1;
+            } else if (!match || url.indexOf(SITE_URL + '/') === 0) {
+                return sources.indexOf("'self'") !== -1 ||
+                    sources.indexOf('*') !== -1;
+            }
+
+            scheme = (match[1] || 'https').toLowerCase();
+            host = match[2].toLowerCase();
+
+            return sources.some(function (source) {
+                var parts = HOST_SOURCE.exec(source);
+
+                return source === '*' || source === scheme + ':' ||
+                    parts && (!parts[1] || parts[1] === scheme) &&
+                    (parts[3] === host || Boolean(parts[2]) &&
+                      host.substr(-parts[3].length - 1) === '.' + parts[3]);
+            });
+        };
+
+        Object.keys(policy).forEach(function (name) {
+            if (CLASSES.indexOf(name) === -1) {
+                problems.push("headers.json has an unknown class, " + name +
+                  " (use " + CLASSES.join(", ") + ")");
+            }
+            Object.keys(policy[name]).forEach(function (header) {
+                var value = policy[name][header];
+
+                if (typeof value === 'string' || header === CSP &&
+                  value && typeof value === 'object' &&
+                  Object.keys(value).every(function (directive) {
+                      return typeof value[directive] === 'string';
+                  })) {
+                    return;
+                }
+                problems.push("headers.json gives " + name + " a bad " +
+                  header + " value");
+            });
+        });
+
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            return false;
+        }
+
+        pages.forEach(function (page) {
+            var match;
+            var attributes;
+
+            CONTENTS.lastIndex = 0;
+            while ((match = CONTENTS.exec(page.html)) !== null) {
+                attributes = parseAttributes(match[2]);
+
+                if (match[1].toLowerCase() === 'style') {
+                    inline.style[hash(match[3])] = true;
+                } else if (attributes.src === undefined &&
+                  SCRIPT_TYPES.test(attributes.type || '') &&
+                  match[3].trim()) {
+                    inline.script[hash(match[3])] = true;
+                }
+            }
+
+            ELEMENTS.lastIndex = 0;
+            while ((match = ELEMENTS.exec(page.html)) !== null) {
+                attributes = parseAttributes(match[2]);
+
+                if (attributes.style) {
+                    inline.style[hash(attributes.style)] = true;
+                    hasStyleAttributes = true;
+                }
+            }
+        });
+
+        // every class gets the "all" headers, w/ the rest being "other"
+        CLASSES.slice(1).concat('other').forEach(function (name) {
+            var headers = {};
 
-            if (page.isHome) {
-                if (!ctx.parent) {
-                    rels = ' rel="child"';
+            [policy.all || {}, policy[name] || {}].forEach(function (given) {
+                Object.keys(given).forEach(function (header) {
+                    headers[header] = given[header];
+                });
+            });
+
+            if (headers[CSP] && typeof headers[CSP] === 'object') {
+                var directives = JSON.parse(JSON.stringify(headers[CSP]));
+                var add = function (directive, sources) {
+                    if (!sources.length) {
+                        return;
+                    }
+                    if (!directives.hasOwnProperty(directive)) {
+                        directives[directive] =
+                            directives['default-src'] || '';
+                    }
+                    directives[directive] = directives[directive].
+                        split(/\s+/).filter(function (source) {
+                            return source && source !== "'none'";
+                        }).concat(sources).join(' ');
+                };
+
+                // n.b. hashes only cover style attributes w/ unsafe-hashes
+                if (name === 'html') {
+                    add('script-src', Object.keys(inline.script).sort());
+                    add('style-src', (hasStyleAttributes ?
+                        ["'unsafe-hashes'"] : []).
+                        concat(Object.keys(inline.style).sort()));
+                    csp = directives;
                 }
-            } else if (page.me) {
-                rels = me.href === page.me.href && 'me' ||
-                    page.parent && me.href === page.parent.href && 'parent' ||
-                    page.prev && me.href === page.prev.href && 'prev' ||
-                    page.next && me.href === page.next.href && 'next' ||
-                    ctx.parent && ctx.parent.href === page.me.href && 'child';
 
-                rels = rels ? [' rel="', '"'].join(rels) : '';
+                headers[CSP] = Object.keys(directives).map(
+                    function (directive) {
+                        return (directive + ' ' + directives[directive]).
+                            trim();
+                    }
+                ).join('; ');
             }
 
-            return [
-                '<a href="', me.href, '"', rels, '>',
-                verbose ? me.title : me.terse,
-                '</a> ',
-                verbose ? '<br>' + me.what : "",
-            ].join('');
-        };
-
-        var data = function (node) {
-            var result = {
-                helpers: {
-                    child: function () {
-                        return linkHelper(this, node, true);
-                    },
-                    home: function () {
-                        return homeHelper(node);
-                    },
-                    link: function () {
-                        return linkHelper(this, node);
-                    },
-                    masthead: function () {
-                        return homeHelper(this, node, true);
-                    },
-                },
+            result[name] = headers;
+        });
 
-                sitemap: SITEMAP,
-            };
+        // pages can still break the policy in ways no hash can fix, such
+        // as w/ event handler attributes or by loading from other origins
+        if (csp) {
+            pages.forEach(function (page) {
+                var match;
+                var check = function (tag, attributes) {
+                    var where = page.path + ": <" + tag + "> ";
+
+                    Object.keys(attributes).forEach(function (attribute) {
+                        var value = attributes[attribute];
+                        var directive = LOADS[tag + ' ' + attribute] ||
+                            tag === 'link' && attribute === 'href' && (
+                                /\bstylesheet\b/i.test(attributes.rel) &&
+                                    'style-src' ||
+                                /\bicon\b/i.test(attributes.rel) &&
+                                    'img-src' ||
+                                /\bmanifest\b/i.test(attributes.rel) &&
+                                    'manifest-src'
+                            );
+
+                        if (/^on/.test(attribute) &&
+                          !allowsInline(sourcesFor('script-src'))) {
+                            problems.push(where + "has an inline " +
+                              attribute + " handler, which script-src " +
+                              "blocks");
+                        } else if (/^\s*javascript:/i.test(value) &&
+                          !allowsInline(sourcesFor('script-src'))) {
+                            problems.push(where + "has a javascript: URL, " +
+                              "which script-src blocks");
+                        } else if (directive) {
+                            (attribute === 'srcset' ?
+                                value.split(',').map(function (candidate) {
+                                    return candidate.trim().split(/\s+/)[0];
+                                }) :
+                                [value]
+                            ).forEach(function (url) {
+                                if (url && !allowsUrl(sourcesFor(directive),
+                                  url)) {
+                                    problems.push(where + "loads " + url +
+                                      ", which " + directive + " blocks");
+                                }
+                            });
+                        }
+                    });
+                };
 
-            Object.keys(node).forEach(function (key) {
-                result[key] = node[key];
+                ELEMENTS.lastIndex = 0;
+                while ((match = ELEMENTS.exec(page.html)) !== null) {
+                    check(match[1].toLowerCase(), parseAttributes(match[2]));
+                }
             });
+        }
 
-            return result;
+        problems.forEach(function (problem) {
+            grunt.log.warn(problem);
+        });
+
+        grunt.file.write(HEADERS, JSON.stringify(result));
+        grunt.log.ok("Wrote headers for " + Object.keys(result).length +
+          " classes of handler" + (csp ? ", w/ " + (
+              Object.keys(inline.script).length +
+              Object.keys(inline.style).length
+          ) + " inline hashes in the policy." : "."));
+    });
+
+
+    // Accessibility Audit of Rendered Pages (a11y) //////////////////////////
+    // Every rendered page is checked for images w/o alt text (or w/ alt text
+    // that says nothing, like a file name), skipped heading levels, missing
+    // landmarks, links whose text makes no sense on its own (e.g. "here"),
+    // duplicate ids, and a lang that does not match the page's locale (or,
+    // for its <article>, the language of the template it came from, which
+    // is English wherever a locale falls back).
+    //
+    // Problems already known are counted per page and kind in
+    // a11y-baseline.json, and only ones beyond those fail the build (and stop
+    // `deploy`, even w/ --force). After fixing some, or to accept new ones,
+    // `grunt a11y --baseline` rewrites it from what is in build/ now.
+    //
+    // n.b. this runs after `htmlmin`, so it sees what that left of the pages
+
+    var A11Y_BASELINE = 'a11y-baseline.json';
+
+    grunt.task.registerTask('a11y', "Audit accessibility.", function () {
+        var TAG = '((?:[^>"\']|"[^"]*"|\'[^\']*\')*)>';
+        var ELEMENTS = new RegExp('<(/?)([a-z][a-z0-9]*)\\b' + TAG, 'gi');
+        var LINKS = new RegExp('<a\\b' + TAG + '([\\s\\S]*?)</a\\s*>', 'gi');
+        var IMAGES = new RegExp('<img\\b' + TAG, 'gi');
+        var MEANINGLESS_ALT = new RegExp('^(graphic|icon|image|img|photo|' +
+          'picture|screen ?shot|spacer|\\W*)$|\\.(gif|jpe?g|png|svg)$', 'i');
+        var MEANINGLESS_LINK = new RegExp('^(click( here)?|go|here|link|' +
+          '(read )?more|this( page)?)$', 'i');
+        var LANDMARKS = {header: 'banner', main: 'main', nav: 'navigation',
+          footer: 'contentinfo'};
+
+        var baseline = grunt.file.exists(A11Y_BASELINE) ?
+            grunt.file.readJSON(A11Y_BASELINE) : {};
+        var langs = {};  // path in build/ => langs its page and text have
+        var counts = {};  // path in build/ => kind => count
+        var regressions = 0;
+        var fixes = 0;
+        var total = 0;
+
+        getPages().forEach(function (page) {
+            langs[page.html] = {
+                page: getLocale(page.locale).lang,
+                text: getLocale(/^l10n\//.test(page.template) ?
+                    page.locale : null).lang,
+            };
+        });
+
+        var getText = function (html) {
+            return html.
+                replace(IMAGES, function (tag, inside) {
+                    return ' ' + (parseAttributes(inside).alt || '') + ' ';
+                }).
+                replace(/<[^>]*>/g, ' ').
+                replace(/&nbsp;/g, ' ').
+                replace(/\s+/g, ' ').
+                trim();
         };
 
-        var getMustacheRenderPages = function(nodes) {
-            return Array.prototype.concat.apply(
-                [],
-                nodes.map(function (node) {
-                    var fragment = 'pages' + node.me.href;
-
-                    if (node.children) {
-                        return Array.prototype.concat(
-                            {
-                                data: data(node),
-                                template: fragment + '/index.mustache',
-                                dest: 'build/' + fragment + '/index.html',
-                            },
-                            getMustacheRenderPages(node.children)
-                        );
+        // returns a list of [kind, description] pairs
+        var audit = function (html, langs) {
+            var issues = [];
+            var lang = langs.page;
+            var ids = {};
+            var roles = {};
+            var level = 0;
+            var attributes;
+            var match;
+            var name;
+            var text;
+            var alt;
+
+            ELEMENTS.lastIndex = 0;
+            while ((match = ELEMENTS.exec(html)) !== null) {
+                if (match[1]) {
+                    continue;  // end tag
+                }
+
+                name = match[2].toLowerCase();
+                attributes = parseAttributes(match[3]);
+                alt = (attributes.alt || '').trim();
+
+                if (name === 'img' && attributes.alt === undefined) {
+                    issues.push(['alt-missing', "<img src=" +
+                      attributes.src + "> has no alt"]);
+                } else if (name === 'img' && alt && (
+                  MEANINGLESS_ALT.test(alt) ||
+                  alt === (attributes.src || '').split('/').pop())) {
+                    issues.push(['alt-meaningless', "<img src=" +
+                      attributes.src + "> has alt \"" + alt + "\""]);
+                }
+
+                if (/^h[1-6]$/.test(name)) {
+                    if (Number(name[1]) > level + 1) {
+                        issues.push(['heading-skip', "<" + name +
+                          "> follows " + (level ? "<h" + level + ">" :
+                            "no heading")]);
+                    }
+                    level = Number(name[1]);
+                }
+
+                if (attributes.id !== undefined) {
+                    if (ids[attributes.id]) {
+                        issues.push(['duplicate-id', "id=" + attributes.id +
+                          " is used more than once"]);
                     }
+                    ids[attributes.id] = true;
+                }
 
-                    return {
-                        data: data(node),
-                        template: fragment + '.mustache',
-                        dest: 'build/' + fragment + '.html',
-                    };
-                })
-            );
-        };
+                if (name === 'html') {
+                    lang = attributes.lang;
+                }
 
-        config.mustache_render = {
-            options: {clear_cache: doWatch, directory: 'partials/'},
+                if (name === 'html' && attributes.lang !== langs.page) {
+                    issues.push(['lang', "<html> has lang=" +
+                      attributes.lang + ", but the page is " + langs.page]);
+                } else if (name === 'article' &&
+                  (attributes.lang || lang) !== langs.text) {
+                    issues.push(['lang', "<article> is in " +
+                      (attributes.lang || lang) + ", but its text is " +
+                      langs.text]);
+                } else if (attributes.hreflang && attributes.lang &&
+                  attributes.hreflang !== attributes.lang) {
+                    issues.push(['lang', "<" + name + "> has hreflang=" +
+                      attributes.hreflang + ", but lang=" +
+                      attributes.lang]);
+                }
 
-            pages: {files: Array.prototype.concat(
-                {
-                    data: data({
-                        children: SITEMAP,
-                        isDynamic: false,
-                        isHome: true,
-                        isInterior: false,
-                        isParent: SITEMAP.length > 0,
-                    }),
-                    template: 'pages/index.mustache',
-                    dest: 'build/pages/index.html',
-                },
-                getMustacheRenderPages(SITEMAP)
-            )},
+                if (attributes.role || LANDMARKS.hasOwnProperty(name)) {
+                    name = attributes.role || LANDMARKS[name];
+                    roles[name] = (roles[name] || 0) + 1;
+                }
+            }
 
-            relaysPy: {files: [{
-                data: KEYS.relays,
-                template: 'relays/__init__.py',
-                dest: 'build/relays/__init__.py',
-            }]},
+            Object.keys(LANDMARKS).forEach(function (element) {
+                var role = LANDMARKS[element];
 
-            unresolvedError404: {files: [{
-                data: data({
-                    me: {title: "Not Found"},
-                    isDynamic: true,
-                    isHome: false,
-                    isInterior: false,
-                    isParent: false,
-                }),
-                template: 'unresolved/error404.mustache',
-                dest: 'build/unresolved/error404.html',
-            }]},
+                if (!roles[role]) {
+                    issues.push(['landmark', "there is no <" + element +
+                      "> (or role=" + role + ")"]);
+                } else if (role === 'main' && roles[role] > 1) {
+                    issues.push(['landmark', "there is more than one <" +
+                      element + "> (or role=" + role + ")"]);
+                }
+            });
 
-            unresolvedRedirect: {files: [{
-                data: data({
-                    me: {title: "Moved Permanently"},
-                    isDynamic: true,
-                    isHome: false,
-                    isInterior: false,
-                    isParent: false,
-                }),
-                template: 'unresolved/redirect.mustache',
-                dest: 'build/unresolved/redirect.html',
-            }]},
+            LINKS.lastIndex = 0;
+            while ((match = LINKS.exec(html)) !== null) {
+                attributes = parseAttributes(match[1]);
+                text = attributes['aria-label'] || getText(match[2]);
+
+                if (!text || MEANINGLESS_LINK.test(text)) {
+                    issues.push(['link-text', "<a href=" + attributes.href +
+                      "> says \"" + text + "\""]);
+                }
+            }
+
+            return issues;
         };
-    }());
 
+        grunt.file.expand(
+            'build/pages/**/*.html',
+            'build/unresolved/*.html'
+        ).forEach(function (path) {
+            var page = path.replace(/^build\//, '');
+            var issues = audit(grunt.file.read(path), langs[page] ||
+              {page: LOCALE_DEFAULT.lang, text: LOCALE_DEFAULT.lang});
+            var known = baseline[page] || {};
+            var found = {};
+
+            issues.forEach(function (issue) {
+                found[issue[0]] = (found[issue[0]] || 0) + 1;
+                issue.push(found[issue[0]] > (known[issue[0]] || 0));
+            });
 
-    // HTML Path Simplification In-Place (replace) ///////////////////////////
+            Object.keys(known).forEach(function (kind) {
+                fixes += Math.max(0, known[kind] - (found[kind] || 0));
+            });
 
-    grunt.task.loadNpmTasks('grunt-replace');
-    config.replace = {
-        toplevels: {
-            files: [{expand: true, cwd: 'build/',
-              src: ['pages/*.html', 'pages/*/index.html'], dest: 'build/'}],
-            options: {patterns: [{
-                match: /(href|src)="\/(\w[^"]*)"/g,
-                replacement: function (match, attr, url) {
-                    return [attr, '="', url, '"'].join('');
-                },
-            }]},
-        },
+            if (!issues.length) {
+                return;
+            }
 
-        secondaries: {
-            files: [{expand: true, cwd: 'build/',
-              src: ['pages/*/*.html', '!pages/*/index.html'], dest: 'build/'}],
-            options: {patterns: [{
-                match: /(href|src)="\/(\w[^"]*)"/g,
-                replacement: function (match, attr, url, offset, html, path) {
-                    url = url.split('/');
-                    path = path.split('/');
+            grunt.log.subhead(page);
+            issues.forEach(function (issue) {
+                grunt.log.writeln((issue[2] ? "NEW ".red : "    ") +
+                  issue[0] + ": " + issue[1]);
+                regressions += issue[2] ? 1 : 0;
+            });
 
-                    return url[0] === path[2] && url[1] ?
-                        [attr, '="', url.slice(1).join('/'), '"'].join('') :
-                        match;
-                },
-            }]},
-        },
-    };
+            counts[page] = found;
+            total += issues.length;
+        });
 
+        if (grunt.option('baseline')) {
+            grunt.file.write(A11Y_BASELINE,
+              JSON.stringify(counts, null, 4) + '\n');
+            grunt.log.ok("Wrote " + total + " known problems to " +
+              A11Y_BASELINE + ".");
+        } else if (regressions) {
+            grunt.fail[IS_DEPLOY ? 'fatal' : 'warn'](regressions +
+              " accessibility problems are not in " + A11Y_BASELINE + ".");
+        } else {
+            grunt.log.ok((total ? "Found only the " + total + " known " +
+              "accessibility problems" : "Found no accessibility problems") +
+              (fixes ? ", and " + fixes + " known ones are fixed (so try " +
+                "`grunt a11y --baseline`)" : "") + ".");
+        }
+    });
 
-    // HTML Minification In-Place (htmlmin) //////////////////////////////////
-    // n.b. we run this one in-place in order to operate on mustache output //
 
-    grunt.task.loadNpmTasks('grunt-contrib-htmlmin');
-    config.htmlmin = {
-        options: {collapseBooleanAttributes: true, collapseWhitespace: true,
-          html5: true, minifyCSS: true, removeAttributeQuotes: true,
-          removeComments: true, removeEmptyAttributes: true,
-          removeEmptyElements: true, removeOptionalTags: true,
-          removeRedundantAttributes: true, removeStyleLinkTypeAttributes: true,
-          sortAttributes: true, sortClassName: true},
+    // Web App Manifest and Service Worker (offline) /////////////////////////
+    // The manifest lets browsers install the site, and sw.js is built from
+    // its source w/ a revision (hash) of every file it precaches: each page,
+    // the stylesheet, the images, the scripts, the search index, the icons,
+    // the manifest, and the error page, which is only ever served for URLs
+    // that resolve to nothing, so the worker caches it from OFFLINE_ERROR.
+    // The cache name carries the version set by `version` (or "local") and
+    // a digest of the revisions, so each deploy starts over w/ a new cache.
+    //
+    // n.b. this runs after `fingerprint` and `htmlmin`, so the revisions are
+    // of the files as they are served
+
+    var OFFLINE_ERROR = '/offline-error';
+
+    grunt.task.registerTask('offline', "Build offline files.", function () {
+        var crypto = require('crypto');
+        var fingerprints = getFingerprints();
+        var icon = getPngSize('apple-touch-icon.png');
+        var script = grunt.file.read('sw.js');
+        var revisions = {};
+        var constants;
+
+        var digest = function (data) {
+            return crypto.createHash('md5').update(data).digest('hex').
+                substr(0, 8);
+        };
 
-        pages: {expand: true, cwd: 'build/', src: 'pages/**/*.html',
-          dest: 'build/'},
-        unresolvedError404: {expand: true, cwd: 'build/',
-          src: 'unresolved/error404.html', dest: 'build/'},
-        unresolvedRedirect: {expand: true, cwd: 'build/',
-          src: 'unresolved/redirect.html', dest: 'build/'},
-    };
+        grunt.file.write('build/manifest.webmanifest', JSON.stringify({
+            name: "AwesomeTTS for Anki",
+            short_name: "AwesomeTTS",
+            description: "Easily add text-to-speech to your Anki cards",
+            lang: LOCALE_DEFAULT.lang,
+            start_url: '/',
+            scope: '/',
+            display: 'minimal-ui',
+            background_color: '#fff',
+            theme_color: '#333',  // n.b. the header's $gray in style.scss
+            icons: [{src: '/apple-touch-icon.png', type: 'image/png',
+              sizes: icon.width + 'x' + icon.height}],
+        }));
+
+        Array.prototype.concat(
+            getPages().map(function (page) {
+                return {url: page.href, file: page.html};
+            }),
+            getImages().map(function (path) {
+                path = fingerprints[path] || path;
+                return {url: path.replace(/^images/, ''), file: path};
+            }),
+            ['apple-touch-icon.png', 'favicon.ico', 'manifest.webmanifest',
+              'offline.js', 'search.js', 'search.json',
+              fingerprints['style.css'] || 'style.css'].map(function (path) {
+                return {url: '/' + path, file: path};
+            }),
+            {url: OFFLINE_ERROR, file: 'unresolved/error404.html'}
+        ).forEach(function (entry) {
+            revisions[entry.url] = digest(grunt.file.read(
+                'build/' + entry.file,
+                {encoding: null}
+            ));
+        });
+
+        constants = {
+            CACHE: ['awesometts', grunt.option('version') || 'local',
+              digest(JSON.stringify(revisions))].join('-'),
+            ERROR_URL: OFFLINE_ERROR,
+            REVISIONS: revisions,
+        };
+
+        Object.keys(constants).forEach(function (name) {
+            var pattern = new RegExp('^(\\s*var ' + name + ' = ).*;$', 'm');
+
+            if (!pattern.test(script)) {
+                grunt.fail.warn("sw.js has no var " + name + " to fill in");
+            }
+            script = script.replace(pattern, function (line, prefix) {
+                return prefix + JSON.stringify(constants[name]) + ';';
+            });
+        });
+
+        grunt.file.write('build/sw.js', script);
+        grunt.log.ok("Wrote manifest and service worker, which precaches " +
+          Object.keys(revisions).length + " files into " + constants.CACHE +
+          ".");
+    });
 
 
     // app.yaml Builder Task (appyaml) ///////////////////////////////////////
@@ -439,9 +3509,7 @@ module.exports = function (grunt) {
     grunt.task.registerTask('appyaml', "Build app.yaml config.", function () {
         var MIME_HTML = 'text/html; charset=utf-8';
 
-        var HEADERS_HTML = {
-            'X-UA-Compatible': 'IE=edge',
-        };
+        var HEADERS = getHeaders();
 
         var BASICS = {
             runtime: 'python27',
@@ -455,61 +3523,95 @@ module.exports = function (grunt) {
             BASICS.version = 'local';
         }
 
+        var PAGES = getPages().filter(function (page) {
+            return page.href !== '/';
+        });
+
         var INDICES = '/' + gaeRegex(
-            SITEMAP.
-                filter(function (node) { return node.children; }).
-                map(function (node) { return node.me.slug; }),
+            PAGES.
+                filter(function (page) {
+                    return /\/index\.html$/.test(page.html);
+                }).
+                map(function (page) { return page.href.substr(1); }),
             true
         );
 
         var LEAVES = '/' + gaeRegex(
-            Array.prototype.concat.apply(
-                SITEMAP.
-                    filter(function (node) { return !node.children; }).
-                    map(function (node) { return node.me.slug; }),
-
-                SITEMAP.
-                    filter(function (node) { return node.children; }).
-                    map(function (node) {
-                        return node.children.map(function (subnode) {
-                            return node.me.slug + '/' + subnode.me.slug;
-                        });
-                    })
-            ),
+            PAGES.
+                filter(function (page) {
+                    return !/\/index\.html$/.test(page.html);
+                }).
+                map(function (page) { return page.href.substr(1); }),
             true
         );
 
-        var GIF_IMAGES = '/' + gaeRegex(
-            grunt.file.expand('images/*.gif').map(function (path) {
-                return path.replace(/^images\/|\.gif$/g, '');
-            }),
-            true
-        );
+        var REDIRECTS = getRedirects();
 
-        var PNG_IMAGES = '/' + gaeRegex(
-            grunt.file.expand('images/*.png').map(function (path) {
-                return path.replace(/^images\/|\.png$/g, '');
-            }),
-            true
-        );
+        // hashed assets never change, so they can be cached indefinitely;
+        // their plain names (or hashes from an older build, e.g. linked by a
+        // cached page) serve the current content, so those expire sooner
+        var FINGERPRINTED = getFingerprints();
+        var HASHED_EXPIRATION = '365d';
+        var PLAIN_EXPIRATION = '1h';
+        var ANY_HASH = '(\\.[0-9a-f]{8})?';
+
+        var STYLESHEET = FINGERPRINTED['style.css'];
+
+        var images = function (extension) {
+            var paths = getImages().filter(function (path) {
+                return path.split('.').pop() === extension;
+            });
+
+            var handler = function (names, suffix, expiration) {
+                return names.length ? {
+                    url: '/' + gaeRegex(names.map(function (name) {
+                        return name.replace(/^images\/|\.\w+$/g, '');
+                    }), true) + suffix + '\\.' + extension,
+                    static_files: 'images/\\1.' + extension,
+                    upload: 'images/.+\\.' + extension,
+                    expiration: expiration,
+                } : null;
+            };
+
+            return [
+                handler(
+                    paths.
+                        map(function (path) { return FINGERPRINTED[path]; }).
+                        filter(Boolean),
+                    '',
+                    HASHED_EXPIRATION
+                ),
+                handler(paths, ANY_HASH, PLAIN_EXPIRATION),
+            ];
+        };
 
         var HANDLERS = [
             {url: '/', static_files: 'pages/index.html',
-              upload: 'pages/index\\.html', mime_type: MIME_HTML,
-              http_headers: HEADERS_HTML},
+              upload: 'pages/index\\.html', mime_type: MIME_HTML},
             {url: INDICES, static_files: 'pages/\\1/index.html',
               upload: ['pages', INDICES, '/index\\.html'].join(''),
-              mime_type: MIME_HTML, http_headers: HEADERS_HTML},
+              mime_type: MIME_HTML},
             {url: LEAVES, static_files: 'pages/\\1.html',
               upload: ['pages', LEAVES, '\\.html'].join(''),
-              mime_type: MIME_HTML, http_headers: HEADERS_HTML},
-            {url: GIF_IMAGES + '\\.gif', static_files: 'images/\\1.gif',
-              upload: 'images/.+\\.gif', expiration: '35d'},
-            {url: PNG_IMAGES + '\\.png', static_files: 'images/\\1.png',
-              upload: 'images/.+\\.png', expiration: '35d'},
-
-            {url: '/style\\.css', static_files: 'style.css',
-              upload: 'style\\.css', expiration: '35d'},
+              mime_type: MIME_HTML},
+        ].concat(images('gif'), images('png'), [
+            STYLESHEET ? {url: '/' + gaeRegex([STYLESHEET]),
+              static_files: STYLESHEET, upload: gaeRegex([STYLESHEET]),
+              expiration: HASHED_EXPIRATION} : null,
+            {url: '/style' + ANY_HASH + '\\.css', static_files: 'style.css',
+              upload: 'style\\.css', expiration: PLAIN_EXPIRATION},
+            {url: '/search\\.js', static_files: 'search.js',
+              upload: 'search\\.js', expiration: '1d'},
+            {url: '/search\\.json', static_files: 'search.json',
+              upload: 'search\\.json', expiration: '1h'},
+            {url: '/offline\\.js', static_files: 'offline.js',
+              upload: 'offline\\.js', expiration: '1d'},
+            {url: '/sw\\.js', static_files: 'sw.js', upload: 'sw\\.js',
+              http_headers: {'Cache-Control': 'no-cache'}},
+            {url: '/manifest\\.webmanifest',
+              static_files: 'manifest.webmanifest',
+              upload: 'manifest\\.webmanifest', expiration: '1d',
+              mime_type: 'application/manifest+json'},
             {url: '/favicon\\.ico', static_files: 'favicon.ico',
               upload: 'favicon\\.ico', expiration: '70d'},
             {url: '/apple-touch-icon\\.png',
@@ -521,23 +3623,53 @@ module.exports = function (grunt) {
               mime_type: 'text/plain; charset=utf-8'},
             {url: '/robots\\.txt', static_files: 'robots.txt',
               upload: 'robots\\.txt', expiration: '70d'},
-
-            // @tbd We might need to distinguish between the 2.0 and 2.1
-            // releases of Anki in the future.
-            {url: '/api/update/.+',
-              static_files: 'api/update/good-version.json',
-              upload: 'api/update/good-version\\.json'},
-            {url: '/api/update', static_files: 'api/update/index.json',
-              upload: 'api/update/index\\.json', expiration: '70d'},
-
-            {url: '/api/voicetext', script: 'relays.voicetext'},
-
-            {url: '/api', static_files: 'api/index.json',
-              upload: 'api/index\\.json', expiration: '70d'},
+            {url: '/sitemap\\.xml', static_files: 'sitemap.xml',
+              upload: 'sitemap\\.xml'},
+        ], getApiRoutes().reduce(function (handlers, route) {
+            return handlers.concat(route.handlers);
+        }, []), [
+            Object.keys(REDIRECTS.exact).length ? {
+                url: gaeRegex(Object.keys(REDIRECTS.exact), true),
+                script: 'unresolved.redirect',
+            } : null,
+            REDIRECTS.prefixes.length ? {
+                url: gaeRegex(REDIRECTS.prefixes.map(function (rule) {
+                    return rule.from;
+                }), true) + '.+',
+                script: 'unresolved.redirect',
+            } : null,
 
             {url: '/[aA][pP][iI](/.*)?', script: 'unresolved.api'},
             {url: '.*', script: 'unresolved.other'},
-        ];
+        ]).filter(Boolean);
+
+        // static files get the headers for their class (scripts set their
+        // own), plus any the handler sets itself (e.g. so the browser checks
+        // for a new sw.js on every visit), and a handler left w/o headers
+        // has none in app.yaml
+        HANDLERS.forEach(function (handler) {
+            var file = handler.static_files;
+            var headers = {};
+
+            [
+                file && HEADERS[
+                    /^pages\//.test(file) && 'html' ||
+                    /\.(gif|ico|png)$/.test(file) && 'images' ||
+                    /\.css$/.test(file) && 'css' ||
+                    /^api\//.test(file) && 'api' ||
+                    'other'
+                ],
+                handler.http_headers,
+            ].forEach(function (source) {
+                Object.keys(source || {}).forEach(function (name) {
+                    headers[name] = source[name];
+                });
+            });
+
+            if (Object.keys(headers).length) {
+                handler.http_headers = headers;
+            }
+        });
 
         var FORCE = {secure: 'always'};
 
@@ -567,42 +3699,219 @@ module.exports = function (grunt) {
                         properties[key] = FORCE[key];
                     });
 
-                    return ['- ', '\n'].join(
-                        Object.keys(properties).map(function (key) {
-                            return [
-                                key,
-                                typeof properties[key] === 'object' ?
-                                '\n    ' + Object.keys(properties[key]).map(
-                                    function (subkey) {
-                                        return [
-                                            subkey,
-                                            properties[key][subkey],
-                                        ].join(': ');
-                                    }
-                                ).join('\n    ') :
-                                String(properties[key])
-                            ].join(': ');
-                        }).join('\n  ')
-                    );
-                })
-            ).join('\n')
-        );
+                    return ['- ', '\n'].join(
+                        Object.keys(properties).map(function (key) {
+                            return [
+                                key,
+                                typeof properties[key] === 'object' ?
+                                '\n    ' + Object.keys(properties[key]).map(
+                                    function (subkey) {
+                                        // n.b. a JSON string is valid YAML
+                                        return [
+                                            subkey,
+                                            JSON.stringify(String(
+                                                properties[key][subkey]
+                                            )),
+                                        ].join(': ');
+                                    }
+                                ).join('\n    ') :
+                                String(properties[key])
+                            ].join(': ');
+                        }).join('\n  ')
+                    );
+                })
+            ).join('\n')
+        );
+    });
+
+
+    // Route Table Verification (routes) /////////////////////////////////////
+    // n.b. pass URLs as arguments (e.g. `grunt routes:/usage:/API`) to     //
+    // only trace those through the handlers, w/o any of the checks below   //
+
+    grunt.task.registerTask('routes', "Verify app.yaml routing.", function () {
+        var handlers = grunt.file.readYAML('build/app.yaml').handlers;
+        var adHoc = Array.prototype.slice.call(arguments);
+        var redirects = getRedirects('build/redirects.json');
+        var fingerprints = getFingerprints();
+        var hits = handlers.map(function () { return 0; });
+        var problems = [];
+
+        var describe = function (index) {
+            var handler = handlers[index];
+
+            return '#' + index + ' ' + (handler.script ?
+                'script ' + handler.script :
+                'static ' + handler.static_files);
+        };
+
+        var trace = function (url) {
+            var route = gaeRoute(handlers, url);
+
+            grunt.log.writeln(url + ' => ' + (
+                !route ? 'no handler' :
+                    route.file ? describe(route.index) + ' => ' + route.file :
+                    describe(route.index)
+            ));
+
+            return route;
+        };
+
+        var isServable = function (route) {
+            return new RegExp('^(?:' + route.handler.upload + ')$').
+                test(route.file) && grunt.file.isFile('build/' + route.file);
+        };
+
+        if (adHoc.length) {
+            adHoc.forEach(function (url) {
+                var route = trace(url);
+
+                if (route && route.file && !isServable(route)) {
+                    grunt.log.error(url + " resolves to nothing servable");
+                }
+            });
+            return;
+        }
+
+        // each URL either expects a specific file, a specific script, or
+        // (w/ neither set) any servable static file
+        Array.prototype.concat(
+            getPages().map(function (page) {
+                return {url: page.href, file: page.html};
+            }),
+            // hashed names are served as such, while plain names and stale
+            // hashes get the current content from the unhashed copy
+            Array.prototype.concat.apply([], getImages().concat('style.css').
+                map(function (path) {
+                    var url = '/' + path.replace(/^images\//, '');
+
+                    return [
+                        {url: '/' + (fingerprints[path] || path).
+                          replace(/^images\//, ''),
+                          file: fingerprints[path] || path},
+                        {url: url, file: path},
+                        {url: url.replace(/(\.\w+)$/, '.00000000$1'),
+                          file: path},
+                    ];
+                })),
+            grunt.file.expand(API_FILES).map(function (path) {
+                return {url: '/' + path.replace(/(\/index)?\.json$/, ''),
+                  file: path};
+            }),
+            ['apple-touch-icon.png', 'favicon.ico', 'manifest.webmanifest',
+              'offline.js', 'robots.txt', 'search.js', 'search.json',
+              'sitemap.xml', 'sw.js'].map(function (path) {
+                return {url: '/' + path, file: path};
+            }),
+            {url: '/.well-known/dnt-policy.txt', file: 'dnt-policy.txt'},
+            {url: '/api/openapi.json', file: 'api/openapi.json'},
+            {url: OFFLINE_ERROR, script: 'unresolved.other'},
+            Array.prototype.concat.apply([], Object.keys(
+                getUpdateResponses()
+            ).map(function (key) {
+                return getUpdateUrls(key).map(function (url) {
+                    return {url: url, file: 'api/update/' + key + '.json'};
+                });
+            })),
+            Object.keys(redirects.exact).map(function (url) {
+                return {url: url, script: 'unresolved.redirect'};
+            }),
+            redirects.prefixes.map(function (rule) {
+                return {url: rule.from + 'example',
+                  script: 'unresolved.redirect'};
+            }),
+            Object.keys(redirects.exact).map(function (url) {
+                return {url: redirects.exact[url]};
+            })
+        ).forEach(function (expected) {
+            var url = expected.url;
+            var route = trace(url);
+            var intended;
+
+            if (!route) {
+                problems.push(url + " is unreachable (no handler)");
+                return;
+            }
+
+            hits[route.index] += 1;
+
+            if (expected.script) {
+                if (route.handler.script !== expected.script) {
+                    problems.push(url + " should go to " + expected.script +
+                      " but is handled by " + describe(route.index));
+                }
+                return;
+            }
+
+            handlers.some(function (handler, index) {
+                var candidate = gaeRoute([handler], url);
+
+                if (candidate && candidate.file && (expected.file ?
+                      candidate.file === expected.file :
+                      isServable(candidate))) {
+                    intended = index;
+                    return true;
+                }
+            });
+
+            if (intended === undefined) {
+                problems.push(url + " is unreachable (no handler serves " +
+                  (expected.file || "a static file") + ")");
+            } else if (intended !== route.index) {
+                problems.push(url + " is shadowed: " +
+                  describe(intended) + " is preceded by " +
+                  describe(route.index));
+            } else if (!isServable(route)) {
+                problems.push(url + " resolves to " + route.file +
+                  ", which is not in build/ or not uploaded");
+            }
+        });
+
+        hits.forEach(function (count, index) {
+            if (!count && !handlers[index].script) {
+                grunt.log.writeln(describe(index) + " was not exercised");
+            }
+        });
+
+        if (problems.length) {
+            problems.forEach(function (problem) {
+                grunt.log.error(problem);
+            });
+            return false;
+        }
+
+        grunt.log.ok("All routes resolve as expected.");
     });
 
 
-    // Deployment Key Verification (keycheck) ////////////////////////////////
+    // Deployment Key Verification (keycheck, keys) //////////////////////////
 
     grunt.task.registerTask('keycheck', "Verify API keys.", function () {
         if (KEYS_MISSING.length) {
             grunt.fail.fatal("Missing keys for " + KEYS_MISSING.join(", "));
-        } else if (KEYS_RELAYS_MISSING.length) {
-            grunt.fail.fatal("Missing relay keys for " +
-                             KEYS_RELAYS_MISSING.join(", "));
         } else {
             grunt.log.ok("API keys are correctly initialized.");
         }
     });
 
+    grunt.task.registerTask('keys', "Report API keys.", function (report) {
+        var ids = Object.keys(KEYS_SOURCES).concat(KEYS_MISSING).sort();
+        var width = Math.max.apply(null, ids.map(function (id) {
+            return id.length;
+        }));
+
+        if (report !== 'status') {
+            grunt.fail.warn("Try `grunt keys:status` to see where the keys " +
+              "come from.");
+            return;
+        }
+
+        ids.forEach(function (id) {
+            grunt.log.writeln(grunt.util.repeat(width - id.length, ' ') + id +
+              "  " + (KEYS_SOURCES[id] || "MISSING".red));
+        });
+    });
+
 
     // Set Deployment Version (version) //////////////////////////////////////
 
@@ -687,83 +3996,979 @@ module.exports = function (grunt) {
         grunt.task.registerTask('gae:update', function () {
             var done = this.async();
 
-            var process = require('child_process').exec(
-                'gcloud app deploy build/app.yaml ' +
-                '--no-promote ' +
-                '--quiet ' +
-                '--project ankiatts ' +
-                '--version ' + grunt.config.get('gae.update.options.version'),
-                function (error, stdout, stderr) { done(!error); }
+            gcloud(
+                ['app', 'deploy', 'build/app.yaml', '--no-promote', '--quiet',
+                  '--version', grunt.config.get('gae.update.options.version')],
+                true,
+                function (error) { done(!error); }
             );
-            process.stdout.on('data', grunt.log.write);
-            process.stderr.on('data', grunt.log.error);
         });
     }
 
 
+    // Version Lifecycle (versions, promote, rollback, prune) ////////////////
+    // n.b. versions are named by the `version` task, which `promote` runs  //
+    // first when not told which version to promote (e.g. `promote:<id>`)   //
+
+    (function () {
+        var SERVICE = 'default';
+
+        // lists deployed versions of the service, newest first, each w/ its
+        // fraction of traffic (zero if it is not serving)
+        var listVersions = function (callback) {
+            gcloud(
+                ['app', 'versions', 'list', '--service', SERVICE],
+                false,
+                function (error, versions) {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+
+                    callback(null, versions.map(function (version) {
+                        var deployed = version.last_deployed_time;
+
+                        return {
+                            id: version.id,
+                            traffic: Number(version.traffic_split) || 0,
+                            deployed: deployed && deployed.datetime ||
+                                version.version &&
+                                version.version.createTime || '',
+                        };
+                    }).sort(function (a, b) {
+                        return a.deployed < b.deployed ? 1 :
+                            a.deployed > b.deployed ? -1 : 0;
+                    }));
+                }
+            );
+        };
+
+        var isDeployed = function (versions, id) {
+            return versions.some(function (version) {
+                return version.id === id;
+            });
+        };
+
+        // splits maps each version to its fraction of traffic, which is
+        // divided by IP address if there is more than one
+        var setTraffic = function (splits, callback) {
+            var ids = Object.keys(splits);
+
+            gcloud(
+                ['app', 'services', 'set-traffic', SERVICE, '--splits',
+                  ids.map(function (id) {
+                      return id + '=' + splits[id];
+                  }).join(','), '--quiet'].
+                    concat(ids.length > 1 ? ['--split-by', 'ip'] : []),
+                true,
+                callback
+            );
+        };
+
+        // runs body with the version list and a callback that ends the task,
+        // failing it if given an error
+        var withVersions = function (task, body) {
+            var done = task.async();
+            var finish = function (error) {
+                if (error) {
+                    grunt.log.error(error.message);
+                }
+                done(!error);
+            };
+
+            listVersions(function (error, versions) {
+                if (error) {
+                    finish(error);
+                } else {
+                    body(versions, finish);
+                }
+            });
+        };
+
+        grunt.task.registerTask('versions', "List versions.", function () {
+            withVersions(this, function (versions, finish) {
+                versions.forEach(function (version) {
+                    grunt.log.writetableln([52, 6, 30], [
+                        version.id,
+                        version.traffic ?
+                            Math.round(version.traffic * 100) + '%' : '-',
+                        version.deployed,
+                    ]);
+                });
+                finish();
+            });
+        });
+
+        // w/ `--split=<percent>`, only that share of traffic goes to the
+        // version, and the rest stays on whichever one has the most now
+        grunt.task.registerTask('promote', "Promote version.", function (id) {
+            var split = grunt.option('split') === undefined ? 100 :
+                Number(grunt.option('split'));
+
+            id = id || grunt.option('version');
+            if (!id) {
+                grunt.task.run('version', 'promote');
+                return;
+            }
+            if (!(split > 0 && split <= 100 && split % 1 === 0)) {
+                grunt.fail.fatal("--split must be a percentage from 1 to 100");
+            }
+
+            withVersions(this, function (versions, finish) {
+                var current = versions.filter(function (version) {
+                    return version.traffic && version.id !== id;
+                }).sort(function (a, b) {
+                    return b.traffic - a.traffic;
+                })[0];
+                var splits = {};
+
+                if (!isDeployed(versions, id)) {
+                    finish(new Error(id + " has not been deployed"));
+                    return;
+                }
+
+                splits[id] = split / 100;
+                if (split < 100 && current) {
+                    splits[current.id] = (100 - split) / 100;
+                }
+
+                setTraffic(splits, function (error) {
+                    if (!error && !DRY_RUN) {
+                        grunt.log.ok(Object.keys(splits).length > 1 ?
+                          split + "% of traffic is now on " + id :
+                          "All traffic is now on " + id);
+                    }
+                    finish(error);
+                });
+            });
+        });
+
+        // w/o a version given, this undoes a split in progress by going back
+        // to the older of the serving versions, or else goes back to the
+        // newest version deployed before the one serving now
+        grunt.task.registerTask('rollback', "Undo promotion.", function (id) {
+            withVersions(this, function (versions, finish) {
+                var serving = versions.filter(function (version) {
+                    return version.traffic > 0;
+                });
+                var splits = {};
+
+                if (!id && !serving.length) {
+                    finish(new Error("No version is serving traffic"));
+                    return;
+                }
+
+                id = id || (serving.length > 1 ?
+                    serving[serving.length - 1] :
+                    versions.filter(function (version) {
+                        return version.deployed < serving[0].deployed;
+                    })[0] || {}).id;
+
+                if (!id) {
+                    finish(new Error("Nothing was deployed before " +
+                      serving[0].id));
+                } else if (!isDeployed(versions, id)) {
+                    finish(new Error(id + " has not been deployed"));
+                } else if (serving.length === 1 && serving[0].id === id) {
+                    grunt.log.ok(id + " already has all traffic");
+                    finish();
+                } else {
+                    splits[id] = 1;
+                    setTraffic(splits, function (error) {
+                        if (!error && !DRY_RUN) {
+                            grunt.log.ok("All traffic is now on " + id);
+                        }
+                        finish(error);
+                    });
+                }
+            });
+        });
+
+        // keeps the newest few versions w/o traffic (`--keep=<count>`, by
+        // default 5) around as rollback targets; serving ones are never
+        // deleted
+        grunt.task.registerTask('prune', "Delete old versions.", function () {
+            var keep = grunt.option('keep') === undefined ? 5 :
+                Number(grunt.option('keep'));
+
+            if (!(keep >= 0 && keep % 1 === 0)) {
+                grunt.fail.fatal("--keep must be a whole number");
+            }
+
+            withVersions(this, function (versions, finish) {
+                var stale = versions.filter(function (version) {
+                    return !version.traffic;
+                }).slice(keep).map(function (version) {
+                    return version.id;
+                });
+
+                if (!stale.length) {
+                    grunt.log.ok("No versions to prune");
+                    finish();
+                    return;
+                }
+
+                gcloud(
+                    ['app', 'versions', 'delete'].concat(stale, '--service',
+                      SERVICE, '--quiet'),
+                    true,
+                    function (error) {
+                        if (!error && !DRY_RUN) {
+                            grunt.log.ok("Pruned " + stale.join(", "));
+                        }
+                        finish(error);
+                    }
+                );
+            });
+        });
+    }());
+
+
+    // Local Development Server (httpd) //////////////////////////////////////
+    // n.b. app.yaml is re-read when it changes, so routing always matches  //
+    // whatever the `appyaml` task last wrote out to the build/ directory   //
+
+    // n.b. createHttpd() is also used by `smoke`, to crawl the built site
+
+    var createHttpd = (function () {
+        var fs = require('fs');
+
+        var MIME_TYPES = {
+            css: 'text/css',
+            gif: 'image/gif',
+            html: 'text/html',
+            ico: 'image/x-icon',
+            js: 'application/javascript',
+            json: 'application/json',
+            png: 'image/png',
+            txt: 'text/plain',
+            xml: 'application/xml',
+        };
+
+        // n.b. takes the request, as `response.req` is missing before Node 15
+        var send = function (request, response, status, headers, body) {
+            response.writeHead(status, headers);
+            response.end(request.method === 'HEAD' ? undefined : body);
+        };
+
+        // mirrors `get_paths()` from unresolved/__init__.py
+        var normalize = function (path) {
+            var normalized = '/' + path.
+                replace(/%[0-9A-Fa-f]{2}/g, '').
+                replace(/[^\-.\/A-Za-z0-9]/g, '').
+                replace(/\.{2,}/g, '.').
+                replace(/-{2,}/g, '-').
+                replace(/[\-.]{2,}/g, '.').
+                toLowerCase().
+                split('/').
+                map(function (component) {
+                    return component.replace(/^[\-.]+|[\-.]+$/g, '');
+                }).
+                filter(Boolean).
+                join('/');
+
+            return normalized !== path ? normalized : null;
+        };
+
+        var json = function (message) {
+            return JSON.stringify({message: message});
+        };
+
+        // mirrors the headers that the `unresolved` module adds, by class
+        var unresolvedHeaders = function (name, headers) {
+            var extra = getHeaders()[name] || {};
+
+            Object.keys(extra).forEach(function (header) {
+                headers[header] = extra[header];
+            });
+
+            return headers;
+        };
+
+        // mirrors `find_redirect()` from unresolved/__init__.py
+        var findRedirect = function (path) {
+            var result = getRedirects('build/redirects.json').resolve(path);
+
+            return result && !result.cycle ? result.path : null;
+        };
+
+        var redirect = function (request, response, newPath) {
+            send(request, response, 301,
+              unresolvedHeaders('html', {
+                  'Content-Type': 'text/html; charset=utf-8',
+                  Location: newPath,
+              }),
+              grunt.file.read('build/unresolved/redirect.html').
+                replace(/%\(path\)s/g, newPath));
+        };
+
+        config.httpd = {
+            options: {
+                hostname: 'localhost',
+                port: 8080,
+
+                // if set (or if `--enforce-secure` is passed), requests not
+                // made over HTTPS (e.g. no `X-Forwarded-Proto: https` from a
+                // proxy) get redirected like `secure: always` does on GAE
+                enforceSecure: false,
+
+                // Stand-ins for the WSGI callables named by `script:` in
+                // the app.yaml handlers. Each gets called with the Node
+                // request and response, plus a context of the requested
+                // `path`, the `query` string, and the matched `handler`,
+                // with `this` being this lookup of stand-ins. Other tasks
+                // may replace or add entries.
+                scripts: {
+                    'unresolved.api': function (request, response, context) {
+                        var newPath = normalize(context.path);
+
+                        if (newPath) {
+                            send(request, response, 301,
+                              unresolvedHeaders('api', {
+                                  'Content-Type': 'application/json',
+                                  Location: newPath,
+                              }),
+                              json("Try " + newPath + " instead"));
+                        } else {
+                            send(request, response, 404,
+                              unresolvedHeaders('api',
+                                {'Content-Type': 'application/json'}),
+                              json("No such endpoint"));
+                        }
+                    },
+
+                    'unresolved.other': function (request, response,
+                      context) {
+                        var path = context.path;
+                        var newPath = normalize(path) || findRedirect(path) ||
+                            path.indexOf('/services/') === 0 && '/services';
+
+                        if (newPath) {
+                            redirect(request, response, newPath);
+                        } else {
+                            send(request, response, 404,
+                              unresolvedHeaders('html', {
+                                  'Content-Type': 'text/html; charset=utf-8',
+                              }),
+                              grunt.file.read(
+                                  'build/unresolved/error404.html'
+                              ));
+                        }
+                    },
+
+                    'unresolved.redirect': function (request, response,
+                      context) {
+                        var newPath = findRedirect(context.path);
+
+                        if (newPath) {
+                            redirect(request, response, newPath);
+                        } else {
+                            this['unresolved.other'](request, response,
+                              context);
+                        }
+                    },
+                },
+            },
+        };
+
+        Object.keys(RELAYS.relays).forEach(function (name) {
+            config.httpd.options.scripts['relays.' + name] = function (
+              request, response) {
+                send(request, response, 503,
+                  {'Content-Type': 'application/json'},
+                  json("Relays are not available locally"));
+            };
+        });
+
+        // Creates (w/o starting) a server that routes requests as app.yaml
+        // in build/ says, calling the given stand-ins for its scripts, and
+        // logging each request (only in verbose mode if quiet is set).
+        var createHttpd = function (scripts, enforceSecure, quiet) {
+            var appYaml = {};
+
+            var getAppYaml = function () {
+                var mtime = fs.statSync('build/app.yaml').mtime.getTime();
+
+                if (appYaml.mtime !== mtime) {
+                    appYaml = {
+                        mtime: mtime,
+                        parsed: grunt.file.readYAML('build/app.yaml'),
+                    };
+                }
+
+                return appYaml.parsed;
+            };
+
+            var serveStatic = function (request, response, route, yaml) {
+                var handler = route.handler;
+                var path = 'build/' + route.file;
+                var headers = {};
+                var expiration = handler.expiration ||
+                    yaml.default_expiration;
+
+                if (!new RegExp('^(?:' + handler.upload + ')$').
+                      test(route.file) ||
+                    !grunt.file.isFile(path)) {
+                    send(request, response, 404,
+                      {'Content-Type': 'text/plain'}, "Not Found");
+                    return;
+                }
+
+                headers['Content-Type'] = handler.mime_type ||
+                    MIME_TYPES[path.split('.').pop()] ||
+                    'application/octet-stream';
+
+                if (expiration) {
+                    expiration = gaeExpiration(expiration);
+                    headers['Cache-Control'] = 'public, max-age=' +
+                        expiration;
+                    headers.Expires = new Date(Date.now() +
+                        expiration * 1000).toUTCString();
+                }
+
+                Object.keys(handler.http_headers || {}).
+                    forEach(function (key) {
+                        headers[key] = handler.http_headers[key];
+                    });
+
+                send(request, response, 200, headers, fs.readFileSync(path));
+            };
+
+            return require('http').createServer(
+                function (request, response) {
+                    var parts = request.url.split('?');
+                    var path = parts.shift();
+                    var yaml;
+                    var route;
+                    var script;
+
+                    response.on('finish', function () {
+                        (quiet ? grunt.verbose : grunt.log).writeln([
+                          response.statusCode, request.method,
+                          request.url].join(' '));
+                    });
+
+                    try {
+                        yaml = getAppYaml();
+                        route = gaeRoute(yaml.handlers, path);
+
+                        if (!route) {
+                            send(request, response, 404,
+                              {'Content-Type': 'text/plain'}, "Not Found");
+                        } else if (enforceSecure &&
+                          route.handler.secure === 'always' &&
+                          !request.socket.encrypted &&
+                          request.headers['x-forwarded-proto'] !== 'https') {
+                            send(request, response, 302,
+                              {Location: 'https://' + request.headers.host +
+                                request.url}, '');
+                        } else if (route.handler.script) {
+                            script = scripts[route.handler.script];
+
+                            if (!script) {
+                                throw new Error("No stand-in for " +
+                                  route.handler.script);
+                            }
+
+                            script.call(scripts, request, response, {
+                                path: path,
+                                query: parts.join('?'),
+                                handler: route.handler,
+                            });
+                        } else {
+                            serveStatic(request, response, route, yaml);
+                        }
+                    } catch (error) {
+                        grunt.log.error(error.stack || error);
+                        send(request, response, 500,
+                          {'Content-Type': 'text/plain'},
+                          "Internal Server Error");
+                    }
+                }
+            );
+        };
+
+        grunt.task.registerTask('httpd', "Serve build/ locally.", function () {
+            var options = this.options();
+            var hostname = grunt.option('hostname') || options.hostname;
+            var port = Number(grunt.option('port')) || options.port;
+            var enforceSecure = grunt.option('enforce-secure') ||
+                options.enforceSecure;
+            var done = this.async();
+            var server = createHttpd(options.scripts, enforceSecure);
+
+            server.on('error', function (error) {
+                grunt.log.error(error.message);
+                done(false);
+            });
+
+            server.listen(port, hostname, function () {
+                grunt.log.ok("Serving build/ at http://" + hostname + ":" +
+                  port + "/");
+
+                // like `gae:run`, only stay in the foreground w/o a watch
+                if (doWatch) {
+                    done();
+                }
+            });
+        });
+
+        return createHttpd;
+    }());
+
+
+    // Smoke Test of the Built Site (smoke) //////////////////////////////////
+    // n.b. this serves build/ the same way as `httpd` but on a free port,  //
+    // so it needs everything from `build` (e.g. sitemap.xml) to be there   //
+
+    grunt.task.registerTask('smoke', "Crawl the built site.", function () {
+        var done = this.async();
+        var fingerprints = getFingerprints();
+        var redirects = getRedirects('build/redirects.json');
+        var updates = getUpdateResponses();
+        var problems = [];
+        var server;
+
+        var TYPES = {css: 'text/css', gif: 'image/gif', ico: 'image/x-icon',
+          js: 'application/javascript', json: 'application/json',
+          png: 'image/png', txt: 'text/plain',
+          webmanifest: 'application/manifest+json', xml: 'application/xml'};
+
+        var asset = function (path, url) {
+            path = fingerprints[path] || path;
+            return {url: url || '/' + path.replace(/^images\//, ''),
+              status: 200, type: TYPES[path.split('.').pop()]};
+        };
+
+        // each check requests url (w/ GET, unless it gives another method)
+        // and expects its status, and optionally the start of its
+        // Content-Type, its Location, or its body (as a string, or as the
+        // value it should parse into if JSON)
+        var checks = Array.prototype.concat(
+            grunt.file.read('build/sitemap.xml').
+                match(/<loc>[^<]*<\/loc>/g).
+                map(function (loc) {
+                    return {url: loc.slice(5, -6).replace(/&amp;/g, '&').
+                      substr(SITE_URL.length), status: 200,
+                      type: 'text/html'};
+                }),
+            Array.prototype.concat.apply([], getImages().concat('style.css').
+                map(function (path) {
+                    var url = '/' + path.replace(/^images\//, '');
+
+                    // the hashed name, the plain one and a stale hash
+                    return [asset(path), asset(path, url),
+                      asset(path, url.replace(/(\.\w+)$/, '.00000000$1'))];
+                })),
+            ['apple-touch-icon.png', 'favicon.ico', 'manifest.webmanifest',
+              'offline.js', 'robots.txt', 'search.js', 'search.json',
+              'sitemap.xml', 'sw.js'].map(function (path) {
+                return asset(path, '/' + path);
+            }),
+            asset('dnt-policy.txt', '/.well-known/dnt-policy.txt'),
+
+            grunt.file.expand(API_FILES).map(function (path) {
+                return {url: '/' + path.replace(/(\/index)?\.json$/, ''),
+                  status: 200, type: 'application/json',
+                  body: grunt.file.readJSON(path)};
+            }),
+            {url: '/api/openapi.json', status: 200,
+              type: 'application/json',
+              body: grunt.file.readJSON('build/api/openapi.json')},
+            Array.prototype.concat.apply([], Object.keys(updates).
+                map(function (key) {
+                    return getUpdateUrls(key).map(function (url) {
+                        return {url: url, status: 200,
+                          type: 'application/json', body: updates[key]};
+                    });
+                })),
+            {url: '/api/update/0.0.0-smoke-test', status: 200,
+              type: 'application/json',
+              body: grunt.file.readJSON('api/update/good-version.json')},
+
+            {url: '/', method: 'HEAD', status: 200, type: 'text/html',
+              body: ''},
+            {url: '/no/such/page', method: 'HEAD', status: 404,
+              type: 'text/html', body: ''},
+            {url: '/no/such/page', status: 404, type: 'text/html',
+              body: grunt.file.read('build/unresolved/error404.html')},
+            {url: OFFLINE_ERROR, status: 404, type: 'text/html',
+              body: grunt.file.read('build/unresolved/error404.html')},
+            {url: '/api/no/such/endpoint', status: 404,
+              type: 'application/json'},
+            {url: '/API/Update', status: 301, type: 'application/json',
+              location: '/api/update'},
+            getPages().filter(function (page) {
+                return page.href !== '/';
+            }).slice(0, 1).map(function (page) {
+                return {url: page.href.toUpperCase() + '/', status: 301,
+                  type: 'text/html', location: page.href};
+            }),
+
+            Object.keys(redirects.exact).concat(
+                redirects.prefixes.map(function (rule) {
+                    return rule.from + 'example';
+                })
+            ).map(function (url) {
+                return {url: url, status: 301, type: 'text/html',
+                  location: redirects.resolve(url).path};
+            }),
+            Object.keys(redirects.exact).map(function (url) {
+                return {url: redirects.resolve(url).path, status: 200};
+            })
+        );
+        var total = checks.length;
+
+        var check = function (expected, response, body) {
+            var type = response.headers['content-type'] || '';
+            var what = (expected.method ? expected.method + ' ' : '') +
+                expected.url + " gave ";
+
+            if (response.statusCode !== expected.status) {
+                problems.push(what + response.statusCode + " instead of " +
+                  expected.status);
+            }
+            if (expected.type && type.indexOf(expected.type) !== 0) {
+                problems.push(what + "Content-Type " + (type || "(none)") +
+                  " instead of " + expected.type);
+            }
+            if (expected.location &&
+              response.headers.location !== expected.location) {
+                problems.push(what + "Location " +
+                  (response.headers.location || "(none)") + " instead of " +
+                  expected.location);
+            }
+            if (typeof expected.body === 'string') {
+                if (body !== expected.body) {
+                    problems.push(what + "an unexpected body");
+                }
+            } else if (expected.body !== undefined) {
+                try {
+                    body = JSON.stringify(JSON.parse(body));
+                } catch (e) {
+                    body = null;
+                }
+                if (body !== JSON.stringify(expected.body)) {
+                    problems.push(what + "an unexpected JSON body");
+                }
+            }
+        };
+
+        var next = function () {
+            var expected = checks.shift();
+
+            if (!expected) {
+                server.close();
+                if (problems.length) {
+                    problems.forEach(function (problem) {
+                        grunt.log.error(problem);
+                    });
+                    done(false);
+                } else {
+                    grunt.log.ok("All " + total + " requests went as " +
+                      "expected.");
+                    done();
+                }
+                return;
+            }
+
+            require('http').request({
+                host: '127.0.0.1',
+                port: server.address().port,
+                path: expected.url,
+                method: expected.method || 'GET',
+            }, function (response) {
+                var chunks = [];
+
+                response.on('data', function (chunk) { chunks.push(chunk); });
+                response.on('end', function () {
+                    check(expected, response,
+                      Buffer.concat(chunks).toString('utf8'));
+                    next();
+                });
+            }).on('error', function (error) {
+                problems.push(expected.url + " failed: " + error.message);
+                next();
+            }).end();
+        };
+
+        server = createHttpd(grunt.config('httpd.options.scripts'), false,
+          true);
+        server.on('error', function (error) {
+            grunt.log.error(error.message);
+            done(false);
+        });
+        server.listen(0, '127.0.0.1', next);
+    });
+
+
+    // Offline Documentation Bundle (bundle) /////////////////////////////////
+    // Copies the (already built) pages into bundle/ so that they work when
+    // opened straight from disk, e.g. by the add-on for someone studying
+    // offline. Links between pages become relative paths to their files,
+    // and the stylesheet, images, and icons are copied into bundle/assets/.
+    // Links to anything else on the site (e.g. /api) point to the website,
+    // and scripts (and the link to the web app manifest) are dropped, as
+    // they need the website to do anything.
+    //
+    // bundle/manifest.json maps each page's slug (its path w/o the leading
+    // slash, e.g. "usage/editor" or "" for the home page) to its file, so the
+    // add-on can open a help page by slug and fall back to the website (at
+    // the manifest's "site") when the bundle does not have it.
+
+    var BUNDLE = 'bundle/';
+
+    grunt.task.registerTask('bundle', "Bundle docs for offline.", function () {
+        var posix = require('path').posix;
+        var resolve = require('url').resolve;
+        var ATTRIBUTES = /\b(href|src|srcset)=("[^"]*"|'[^']*'|[^\s"'>]+)/g;
+        var EXTERNAL = /^([a-z][\-+.a-z0-9]*:|\/\/)/i;
+        var MANIFEST = /<link\b[^>]*\srel=["']?manifest\b[^>]*>/gi;
+        var SCRIPTS = /<script\b[^>]*>[\s\S]*?<\/script>/gi;
+        var URLS = /url\((["']?)([^"')]+)\1\)/g;
+
+        var redirects = getRedirects();
+        var pages = {};  // href => file in the bundle
+        var assets = {};  // file in build/ => file in the bundle
+        var manifest = {site: SITE_URL, pages: {}};
+
+        if (!grunt.file.exists('build/pages/index.html')) {
+            grunt.fail.warn("Nothing to bundle; try `grunt build` first.");
+            return;
+        }
+
+        getPages().forEach(function (page) {
+            pages[page.href] = page.html.replace(/^pages\//, '');
+            manifest.pages[page.href.substr(1)] = pages[page.href];
+        });
+
+        // returns what an internal URL (already resolved to an absolute
+        // path) should become in a file at `from` in the bundle, copying
+        // any asset that it points to
+        var localize = function (url, from) {
+            var parts = url.split('#');
+            var path = parts[0].split('?')[0];
+            var fragment = parts[1] === undefined ? '' : '#' + parts[1];
+            var redirect = !pages.hasOwnProperty(path) &&
+                redirects.resolve(path);
+            var source;
+
+            if (redirect && !redirect.cycle) {
+                path = redirect.path;
+            }
+
+            if (pages.hasOwnProperty(path)) {
+                return posix.relative(posix.dirname(from), pages[path]) +
+                    fragment;
+            }
+
+            source = ['build/images' + path, 'build' + path].
+                filter(function (candidate) {
+                    return !/^build\/(api|pages|unresolved)\//.
+                        test(candidate) && grunt.file.isFile(candidate);
+                })[0];
+
+            if (!source) {
+                return SITE_URL + url;
+            }
+
+            if (!assets.hasOwnProperty(source)) {
+                assets[source] = 'assets/' + posix.basename(source);
+                if (/\.css$/.test(source)) {
+                    grunt.file.write(BUNDLE + assets[source],
+                      grunt.file.read(source).replace(URLS,
+                        function (match, quote, value) {
+                            return EXTERNAL.test(value) ? match :
+                                ['url(', quote, localize(resolve('/', value),
+                                  assets[source]), quote, ')'].join('');
+                        }));
+                } else {
+                    grunt.file.copy(source, BUNDLE + assets[source]);
+                }
+            }
+
+            return posix.relative(posix.dirname(from), assets[source]);
+        };
+
+        if (grunt.file.exists(BUNDLE)) {
+            grunt.file.delete(BUNDLE);
+        }
+
+        Object.keys(pages).forEach(function (href) {
+            var file = pages[href];
+            var html = grunt.file.read('build/pages/' + file);
+
+            grunt.file.write(BUNDLE + file, html.
+                replace(SCRIPTS, '').
+                replace(MANIFEST, '').
+                replace(ATTRIBUTES, function (match, attr, value) {
+                    var quote = /^["']/.test(value) ? value.charAt(0) : '';
+                    var rewrite = function (url) {
+                        return EXTERNAL.test(url) || url.charAt(0) === '#' ?
+                            url : localize(resolve(href, url), file);
+                    };
+
+                    value = value.replace(/^["']|["']$/g, '');
+                    return [attr, '=', quote || '"',
+                        attr === 'srcset' ?
+                            value.replace(/[^\s,]+(?=\s+\d+w)/g, rewrite) :
+                            rewrite(value),
+                        quote || '"'].join('');
+                }));
+        });
+
+        grunt.file.write(BUNDLE + 'manifest.json',
+          JSON.stringify(manifest, null, 4) + '\n');
+        grunt.log.ok("Bundled " + Object.keys(pages).length + " pages and " +
+          Object.keys(assets).length + " assets into " + BUNDLE + ".");
+    });
+
+
     // Watcher (watch) ///////////////////////////////////////////////////////
 
     grunt.task.loadNpmTasks('grunt-contrib-watch');
     config.watch = {
         options: {spawn: false},  // required for grunt.event.on logic to work
 
-        grunt: {files: ['Gruntfile.js', 'keys.json', 'sitemap.json'],
+        grunt: {files: ['Gruntfile.js', 'api/**/*.schema.json', 'keys.json',
+          LOCALES_FILE, 'relays.json', RELEASES].
+            concat(SECRETS || []),
           tasks: 'build', options: {reload: true}},
 
-        favicon: {files: 'favicon.ico', tasks: 'copy:favicon'},
-        touchIcon: {files: 'apple-touch-icon.png', tasks: 'copy:touchIcon'},
-        images: {files: 'images/*.{gif,png}', tasks: 'copy:images'},
+        favicon: {files: 'favicon.ico', tasks: ['copy:favicon', 'offline']},
+        touchIcon: {files: 'apple-touch-icon.png',
+          tasks: ['copy:touchIcon', 'offline']},
+        images: {files: 'images/*.{gif,png}',
+          tasks: ['copy:images', 'pngs', 'fingerprint', 'offline',
+            'appyaml']},
         robots: {files: 'robots.txt', tasks: 'copy:robots'},
         dntPolicy: {files: 'dnt-policy.txt', tasks: 'copy:dntPolicy'},
+        searchJs: {files: 'search.js', tasks: ['copy:searchJs', 'offline']},
+        offlineJs: {files: 'offline.js', tasks: ['copy:offlineJs', 'offline']},
+        sw: {files: 'sw.js', tasks: 'offline'},
         relaysPy: {files: 'relays/__init__.py',
                    tasks: 'mustache_render:relaysPy'},
         unresolvedPy: {files: 'unresolved/__init__.py',
           tasks: 'copy:unresolvedPy'},
 
-        api: {files: 'api/**/*.json', tasks: ['copy:api', 'json-minify:api']},
-
-        style: {files: 'style.scss', tasks: ['sass:style', 'cssmin:style']},
-
-        toplevels: {files: ['pages/*.mustache', 'pages/*/index.mustache'],
-          tasks: ['mustache_render:pages', 'replace:toplevels', 'htmlmin:pages']},
-        secondaries: {files: ['pages/*/*.mustache', '!pages/*/index.mustache'],
-          tasks: ['mustache_render:pages', 'replace:secondaries', 'htmlmin:pages']},
-
-        // these re-copy the "unresolved" module so its cached HTML is cleared
+        api: {files: API_FILES,
+          tasks: ['validate', 'copy:api', 'json-minify:api']},
+
+        style: {files: 'style.scss',
+          tasks: ['sass:style', 'cssmin:style', 'fingerprint', 'offline',
+            'appyaml']},
+
+        // n.b. one template can render several pages (e.g. an English one
+        // is also the fallback in each locale), so all replace targets run,
+        // but each is narrowed to just those pages; app.yaml is rebuilt in
+        // case a page was added or removed (or its inline code changed)
+        pages: {files: ['pages/**/*.{mustache,md}', 'l10n/**/*.{mustache,md}'],
+          tasks: ['validate', 'templates', 'mustache_render:pages', 'replace',
+            'srcsets', 'searchindex', 'linkcheck', 'fingerprint',
+            'htmlmin:pages', 'headers', 'a11y', 'offline', 'appyaml',
+            'copy:unresolvedPy']},
+
+        // these re-copy the "unresolved" module so its cached HTML (and
+        // headers) are cleared
         partials: {files: 'partials/*.mustache',
           tasks: [
+            'templates',
             'mustache_render:pages',
             'mustache_render:unresolvedError404',
             'mustache_render:unresolvedRedirect',
+            'replace',
+            'srcsets',
+            'searchindex',
+            'fingerprint',
             'htmlmin:pages',
             'htmlmin:unresolvedError404',
             'htmlmin:unresolvedRedirect',
+            'headers',
+            'a11y',
+            'offline',
+            'appyaml',
             'copy:unresolvedPy',
           ]},
-        redirects: {files: 'redirects.json', tasks: ['copy:redirects',
+        headers: {files: 'headers.json', tasks: ['headers', 'appyaml',
+          'copy:unresolvedPy']},
+        redirects: {files: 'redirects.json', tasks: ['redirects', 'appyaml',
           'copy:unresolvedPy']},
         unresolvedError404: {files: 'unresolved/error404.mustache',
           tasks: [
             'mustache_render:unresolvedError404',
+            'fingerprint',
             'htmlmin:unresolvedError404',
+            'headers',
+            'a11y',
+            'offline',
+            'appyaml',
             'copy:unresolvedPy',
           ]},
         unresolvedRedirect: {files: 'unresolved/redirect.mustache',
           tasks: [
             'mustache_render:unresolvedRedirect',
+            'fingerprint',
             'htmlmin:unresolvedRedirect',
+            'headers',
+            'a11y',
+            'appyaml',
             'copy:unresolvedPy',
           ]},
     };
 
     (function () {
         var OLD_VALUES = {};
-        ['copy.images.src', 'copy.api.src', 'json-minify.api.files',
-          'mustache_render.pages.files', 'replace.toplevels.files.0.src',
-          'replace.secondaries.files.0.src', 'htmlmin.pages.src'].
-            forEach(function (key) { OLD_VALUES[key] = grunt.config(key); });
+        var REPLACE_TARGETS = ['locales', 'relatives', 'anchors'];
+        Array.prototype.concat(
+            'copy.images.src', 'copy.api.src', 'json-minify.api.files',
+            'mustache_render.pages.files', 'htmlmin.pages.src',
+            REPLACE_TARGETS.map(function (target) {
+                return ['replace.', '.files.0.filter'].join(target);
+            })
+        ).forEach(function (key) { OLD_VALUES[key] = grunt.config(key); });
+
+        // front matter as last seen, by template path, to tell if an edit
+        // changed it (as that can affect the navigation on every page)
+        var FRONT_MATTERS = {};
+        if (doWatch) {
+            grunt.file.expand(
+                'pages/**/*.{mustache,md}',
+                'l10n/**/*.{mustache,md}'
+            ).forEach(function (path) {
+                FRONT_MATTERS[path] = JSON.stringify(
+                    readFrontMatter(path).meta
+                );
+            });
+        }
+
+        // drops an image's build copies (including the hashed and scaled-down
+        // ones) and its entries in the manifests
+        var removeImage = function (path) {
+            var fingerprints = getFingerprints();
+            var variants = getPngVariants();
+
+            grunt.file.expand('build/images/*').forEach(function (built) {
+                if (built.replace(FINGERPRINT, '').replace(PNG_VARIANT, '') ===
+                  'build/' + path) {
+                    grunt.file.delete(built);
+                }
+            });
+            Object.keys(fingerprints).forEach(function (key) {
+                if (key.replace(PNG_VARIANT, '') === path) {
+                    delete fingerprints[key];
+                }
+            });
+            delete variants[path];
+
+            grunt.file.write(FINGERPRINTS, JSON.stringify(fingerprints));
+            grunt.file.write(PNG_VARIANTS, JSON.stringify(variants));
+        };
 
+        // n.b. a rename arrives as a "deleted" event for the old path, then
+        // a "renamed" event for the new one, which is handled like an add
         grunt.event.on('watch', function (action, path, target) {
+            var isGone = action === 'deleted';
+
             // n.b. doing a reset here preps any task that has had its
             // configuration clobbered by a related task (e.g. watch:pages
             // clobbers the mustache_render.pages.files list, but if
@@ -773,39 +4978,90 @@ module.exports = function (grunt) {
                 grunt.config(key, OLD_VALUES[key]);
             });
 
-            if (action === 'changed' || action === 'added') {
-                switch (target) {
-                    case 'images':
-                        grunt.config('copy.images.src', path);
-                        break;
+            switch (target) {
+                case 'images':
+                    if (isGone) {
+                        removeImage(path);
+                    }
+                    grunt.config('copy.images.src', isGone ? [] : path);
+                    break;
 
-                    case 'api':
-                        grunt.config('copy.api.src', path);
-                        grunt.config('json-minify.api.files', 'build/' + path);
-                        break;
+                case 'api':
+                    if (isGone && grunt.file.exists('build/' + path)) {
+                        grunt.file.delete('build/' + path);
+                    }
+                    grunt.config('copy.api.src', isGone ? [] : path);
+                    grunt.config('json-minify.api.files',
+                      isGone ? [] : 'build/' + path);
+                    break;
+
+                case 'pages':
+                    var meta = isGone ? undefined :
+                        JSON.stringify(readFrontMatter(path).meta);
+                    if (FRONT_MATTERS[path] !== meta) {
+                        var before = OLD_VALUES['mustache_render.pages.files'];
+                        var after = getMustacheRenderPages();
+                        var rendered = after.map(function (file) {
+                            return file.dest;
+                        });
 
-                    case 'toplevels':
-                    case 'secondaries':
-                        grunt.config(
-                            'mustache_render.pages.files',
-                            OLD_VALUES['mustache_render.pages.files'].
-                                filter(function (file) {
-                                    return file.template === path;
-                                })
-                        );
-                        grunt.config(
-                            ['replace.', '.files.0.src'].join(target),
-                            path.replace(/\.mustache$/, '.html')
-                        );
+                        // pages that are no longer rendered (or templates no
+                        // longer prepared) would otherwise still be served
+                        before.forEach(function (file) {
+                            if (rendered.indexOf(file.dest) === -1 &&
+                              grunt.file.exists(file.dest)) {
+                                grunt.file.delete(file.dest);
+                            }
+                        });
+                        if (isGone && grunt.file.exists(
+                            getBuildTemplate(path)
+                        )) {
+                            grunt.file.delete(getBuildTemplate(path));
+                        }
+
+                        if (isGone) {
+                            delete FRONT_MATTERS[path];
+                        } else {
+                            FRONT_MATTERS[path] = meta;
+                        }
+                        OLD_VALUES['mustache_render.pages.files'] = after;
+                        grunt.config('mustache_render.pages.files', after);
+                        break;  // i.e. re-render everything
+                    }
+
+                    var files = OLD_VALUES['mustache_render.pages.files'].
+                        filter(function (file) {
+                            return file.template ===
+                                getBuildTemplate(path);
+                        });
+                    var dests = files.map(function (file) {
+                        return file.dest;
+                    });
+
+                    grunt.config('mustache_render.pages.files', files);
+                    REPLACE_TARGETS.forEach(function (target) {
                         grunt.config(
-                            'htmlmin.pages.src',
-                            path.replace(/\.mustache$/, '.html')
+                            ['replace.', '.files.0.filter'].join(target),
+                            function (src) {
+                                return dests.indexOf(src) !== -1;
+                            }
                         );
-                        break;
-                }
-            } else {
-                grunt.fail.fatal(action + " not supported; please reload");
-                process.exit();
+                    });
+                    grunt.config('htmlmin.pages.src', dests.map(
+                        function (dest) {
+                            return dest.replace(/^build\//, '');
+                        }
+                    ));
+                    break;
+
+                case 'partials':
+                    break;  // every page gets re-rendered regardless
+
+                default:
+                    if (isGone) {
+                        grunt.log.warn(path + " is gone, but its last " +
+                          "build output has been left in place");
+                    }
             }
         });
     }());
@@ -0,0 +1,43 @@
+/*
+ * AwesomeTTS text-to-speech add-on website
+ * Copyright (C) 2014-Present  Anki AwesomeTTS Development Team
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Service worker registration
+ *
+ * Registers /sw.js, which `grunt offline` builds to keep a copy of every
+ * page of the current version for reading the documentation offline. It
+ * waits for the page to finish loading, so the precaching does not compete
+ * with the page for bandwidth.
+ */
+
+/*jslint browser:true*/
+/*jslint indent:4*/
+
+(function () {
+    'use strict';
+
+    if (!navigator.serviceWorker) {
+        return;
+    }
+
+    window.addEventListener('load', function () {
+        navigator.serviceWorker.register('/sw.js').catch(function () {
+            return;  // the site works the same, just not offline
+        });
+    });
+}());
@@ -30,17 +30,18 @@ from logging import error as _error, info as _info, warning as _warn
 from threading import Lock as _Lock
 from time import time as _time
 from urllib2 import urlopen as _url_open, Request as _Request
+from urlparse import parse_qsl as _parse_qsl
 
 __all__ = ['voicetext']
 
 
-# n.b. When adding additional mustached-in variables, add a build-time check
-# for `KEYS_RELAYS_MISSING` in ../Gruntfile.js so nothing gets missed during a
-# deployment.
+# n.b. Keys mustached in here as {{{keys.<name>}}} must be declared by their
+# relay in ../relays.json (the build fails if the two disagree), and
+# `grunt keycheck` makes sure each has a value before a deployment.
 
 # For auth, VoiceText uses API key as the "username" w/ blank password, e.g.:
 # import base64; 'Basic ' + base64.encodestring('someapikey123' + ':').strip()
-_API_VOICETEXT_AUTH = dict(Authorization='{{{voicetext}}}')
+_API_VOICETEXT_AUTH = dict(Authorization='{{{keys.voicetext}}}')
 _API_VOICETEXT_ENDPOINT = 'https://api.voicetext.jp/v1/tts'
 _API_VOICETEXT_TIMEOUT = 10
 
@@ -56,6 +57,10 @@ _CODE_503 = '503 Service Unavailable'
 
 _HEADERS_JSON = [('Content-Type', 'application/json')]
 
+# most Japanese characters encode to 9-byte strings and we allow up to 100
+# Japanese characters (or 900 bytes) in the client
+_QUERY_MAX_LENGTH = 1000
+
 
 def _get_message(msg):
     "Returns a list-of-one-string payload for returning from handlers."
@@ -68,17 +73,15 @@ _MSG_UNACCEPTABLE = _get_message("Your request is unacceptable")
 _MSG_UPSTREAM = _get_message("Cannot communicate with upstream service")
 
 
-# Rate limiting for this running instance. Each tuple contains the following:
+# Rate limiting for this running instance, by the tiers in ../relays.json
+# (all of the relays in a tier share its limits). Each tuple contains the
+# following:
 #
 # 0. within these number of seconds (or until instance dies, if sooner) ...
 # 1. ... a single IP address may make at most this many calls
 # 2. ... at most this many IP addresses may be using relays
 # 3. accounting dict mapping IP addresses to their access information
 #
-# TODO: If we add additional relay services in the future, those relays should
-# use this same structure (i.e. rate-limiting should be in-effect across all
-# of the relays that we sponsor).
-#
 # TODO: If we ever expand to having more than one running instance on Google
 # App Engine, this data structure would not be shared between them, and this
 # rate-limiting strategy would need to be reconsidered.
@@ -86,17 +89,39 @@ _MSG_UPSTREAM = _get_message("Cannot communicate with upstream service")
 # pylint:disable=invalid-name
 _LimitLevel = _namedtuple('LimitLevel',
                           ['within', 'max_single', 'max_total', 'lookup'])
-_limit_levels = [_LimitLevel(60, 25, 5, {}), _LimitLevel(86400, 500, 100, {})]
+_limit_tiers = {
+{{#tiers}}
+    '{{name}}': [
+{{#levels}}
+        _LimitLevel({{within}}, {{maxSingle}}, {{maxTotal}}, {}),
+{{/levels}}
+    ],
+{{/tiers}}
+}
 _limit_lock = _Lock()
 # pylint:enable=invalid-name
 
+# Query parameters that each relay requires and allows, and its tier of rate
+# limits, all from ../relays.json
+_Relay = _namedtuple('Relay', ['required', 'allowed', 'limit_levels'])
+_RELAYS = {
+{{#relays}}
+    '{{name}}': _Relay(frozenset({{{required}}}),
+                       frozenset({{{required}}} + {{{optional}}}),
+                       _limit_tiers['{{tier}}']),
+{{/relays}}
+}
 
-def voicetext(environ, start_response):
+
+def _screen(name, environ, start_response):
     """
-    After validating the incoming request, retrieve the audio file from
-    the upstream VoiceText service, check it, and return it.
+    Checks the incoming request against what the named relay accepts
+    and then its rate limits, returning None if the request may proceed
+    or, if not, the payload after starting the denial response.
     """
 
+    relay = _RELAYS[name]
+
     remote_addr = environ.get('REMOTE_ADDR', '')
     if not remote_addr:
         _warn("Relay denied -- no remote IP address")
@@ -113,16 +138,14 @@ def voicetext(environ, start_response):
         start_response(_CODE_405, _HEADERS_JSON)
         return _MSG_UNACCEPTABLE
 
+    # check the length before parsing anything, so oversized requests do not
+    # generate a bunch of junk objects
     data = environ.get('QUERY_STRING')
-
-    # do a very rough sanity check without generating a bunch of junk objects;
-    # remember that most Japanese characters encode to 9-byte strings and we
-    # allow up to 100 Japanese characters (or 900 bytes) in the client
-    if not (data and len(data) < 1000 and data.count('&') > 4 and
-            data.count('=') < 8 and 'format=' in data and
-            'format=wav' not in data and
-            'pitch=' in data and 'speaker=' in data and 'speed=' in data and
-            'text=' in data and 'volume=' in data):
+    params = [key for key, _ in _parse_qsl(data, keep_blank_values=True)] \
+        if data and len(data) < _QUERY_MAX_LENGTH else []
+    if not (params and len(params) == len(set(params)) and
+            relay.required.issubset(params) and
+            relay.allowed.issuperset(params)):
         _warn("Relay denied -- unacceptable query string")
         start_response(_CODE_400, _HEADERS_JSON)
         return _MSG_UNACCEPTABLE
@@ -132,7 +155,7 @@ def voicetext(environ, start_response):
         now = int(_time())
 
         # remove expired entries
-        for level in _limit_levels:
+        for level in relay.limit_levels:
             expired = now - level.within
             lookup = level.lookup
             for addr, info in lookup.items():
@@ -140,7 +163,7 @@ def voicetext(environ, start_response):
                     del lookup[addr]
 
         # check maximum levels
-        for level in _limit_levels:
+        for level in relay.limit_levels:
             lookup = level.lookup
             try:
                 info = lookup[remote_addr]
@@ -162,7 +185,7 @@ def voicetext(environ, start_response):
 
         # caller is good to go; update their call counts
         summaries = []
-        for level in _limit_levels:
+        for level in relay.limit_levels:
             lookup = level.lookup
             try:
                 info = lookup[remote_addr]
@@ -176,6 +199,26 @@ def voicetext(environ, start_response):
                               remote_addr, len(lookup), level.max_total))
         _info("Relay accepted -- %s", "; ".join(summaries))
 
+    return None
+
+
+def voicetext(environ, start_response):
+    """
+    After validating the incoming request, retrieve the audio file from
+    the upstream VoiceText service, check it, and return it.
+    """
+
+    # WAV is the one format VoiceText offers that the add-on cannot use
+    data = environ.get('QUERY_STRING', '')
+    if 'format=wav' in data:
+        _warn("Relay denied -- unacceptable format")
+        start_response(_CODE_400, _HEADERS_JSON)
+        return _MSG_UNACCEPTABLE
+
+    denial = _screen('voicetext', environ, start_response)
+    if denial:
+        return denial
+
     try:
         response = _url_open(_Request(_API_VOICETEXT_ENDPOINT, data,
                                       _API_VOICETEXT_AUTH),
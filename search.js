@@ -0,0 +1,181 @@
+/*
+ * AwesomeTTS text-to-speech add-on website
+ * Copyright (C) 2014-Present  Anki AwesomeTTS Development Team
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Client-side documentation search
+ *
+ * Reveals the search box from the page header and answers queries from the
+ * index that `grunt searchindex` writes to /search.json, which is fetched
+ * once on first use. Every word typed must match (the last one by prefix,
+ * so results show up while typing), and results are ranked by the weights
+ * recorded in the index.
+ */
+
+/*jslint browser:true*/
+/*jslint indent:4*/
+
+(function () {
+    'use strict';
+
+    var MAX_RESULTS = 8;
+
+    var form = document.getElementById('seek');
+    var input = form && form.getElementsByTagName('input')[0];
+    var index = null;
+    var results = document.createElement('ol');
+
+    if (!input || !window.XMLHttpRequest) {
+        return;
+    }
+
+    var load = function (callback) {
+        var request;
+
+        if (index) {
+            callback();
+            return;
+        }
+
+        request = new XMLHttpRequest();
+        request.onload = function () {
+            try {
+                index = JSON.parse(request.responseText);
+            } catch (ignore) {
+                return;
+            }
+            callback();
+        };
+        request.open('GET', '/search.json');
+        request.send();
+    };
+
+    var search = function (query) {
+        var words = query.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+        var scores = {};
+
+        var founds = words.map(function (word, position) {
+            var isLast = position === words.length - 1;
+            var found = {};
+
+            Object.keys(index.terms).forEach(function (term) {
+                var postings;
+                var key;
+                var i;
+
+                if (term === word || isLast && term.indexOf(word) === 0) {
+                    postings = index.terms[term];
+
+                    for (i = 0; i < postings.length; i += 3) {
+                        key = postings[i] + ':' + postings[i + 1];
+                        found[key] = (found[key] || 0) + postings[i + 2];
+                        scores[key] = 0;
+                    }
+                }
+            });
+
+            return found;
+        });
+
+        // every word must match the section itself or its page's title
+        // and summary (which the index files under section -1)
+        Object.keys(scores).forEach(function (key) {
+            var pageKey = key.split(':')[0] + ':-1';
+
+            founds.forEach(function (found) {
+                var score = found[key] || found[pageKey];
+
+                if (score && scores.hasOwnProperty(key)) {
+                    scores[key] += score;
+                } else {
+                    delete scores[key];
+                }
+            });
+        });
+
+        return Object.keys(scores).
+            sort(function (a, b) { return scores[b] - scores[a]; }).
+            slice(0, MAX_RESULTS).
+            map(function (key) {
+                var parts = key.split(':');
+                var page = index.pages[parts[0]];
+                var section = page.sections[parts[1]];
+
+                return {
+                    href: section && section[0] ?
+                        page.href + '#' + section[0] : page.href,
+                    title: section ? page.title + ' \u203a ' + section[1] :
+                        page.title,
+                    what: page.what,
+                };
+            });
+    };
+
+    var render = function () {
+        var query = input.value.trim();
+
+        while (results.firstChild) {
+            results.removeChild(results.firstChild);
+        }
+
+        if (!query) {
+            return;
+        }
+
+        load(function () {
+            var hits = search(query);
+
+            if (query !== input.value.trim()) {
+                return;  // a newer call to render() will take care of it
+            }
+
+            if (!hits.length) {
+                hits = [{title: "No matching pages"}];
+            }
+
+            hits.forEach(function (hit) {
+                var item = document.createElement('li');
+                var link = document.createElement(hit.href ? 'a' : 'span');
+
+                link.appendChild(document.createTextNode(hit.title));
+                if (hit.href) {
+                    link.href = hit.href;
+                }
+                item.appendChild(link);
+
+                if (hit.what) {
+                    item.appendChild(document.createElement('br'));
+                    item.appendChild(document.createTextNode(hit.what));
+                }
+
+                results.appendChild(item);
+            });
+        });
+    };
+
+    form.appendChild(results);
+    form.removeAttribute('hidden');
+    form.onsubmit = function (event) {
+        var first = results.getElementsByTagName('a')[0];
+
+        event.preventDefault();
+        if (first) {
+            window.location.href = first.href;
+        }
+    };
+    input.oninput = render;
+}());
@@ -0,0 +1,103 @@
+/*
+ * AwesomeTTS text-to-speech add-on website
+ * Copyright (C) 2014-Present  Anki AwesomeTTS Development Team
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Service worker for reading the documentation offline
+ *
+ * Precaches everything listed in REVISIONS, which `grunt offline` fills in
+ * (as URL => hash of the built file) along with a CACHE name unique to the
+ * deployed version and those revisions, so each new version installs into
+ * a fresh cache and deletes the others once it activates. Pages come from
+ * the network first and fall back to the cache (and then to the cached
+ * error page) when offline, while the other precached files are served
+ * straight from the cache. Nothing under /api is ever cached.
+ */
+
+/*jslint browser:true*/
+/*jslint indent:4*/
+/*global self, caches, fetch, Promise, URL*/
+
+(function () {
+    'use strict';
+
+    var CACHE = 'awesometts-dev';
+    var ERROR_URL = '/offline-error';
+    var REVISIONS = {};
+
+    var fromCache = function (path) {
+        return caches.open(CACHE).then(function (cache) {
+            return cache.match(path);
+        });
+    };
+
+    self.addEventListener('install', function (event) {
+        event.waitUntil(caches.open(CACHE).then(function (cache) {
+            return Promise.all(Object.keys(REVISIONS).map(function (path) {
+                return fetch(path, {cache: 'reload'}).then(
+                    function (response) {
+                        // n.b. the error page is only ever served as a 404
+                        if (!response.ok && path !== ERROR_URL) {
+                            throw new Error(path + " returned " +
+                              response.status);
+                        }
+
+                        return cache.put(path, response);
+                    }
+                );
+            }));
+        }).then(function () {
+            return self.skipWaiting();
+        }));
+    });
+
+    self.addEventListener('activate', function (event) {
+        event.waitUntil(caches.keys().then(function (names) {
+            return Promise.all(names.filter(function (name) {
+                return name !== CACHE;
+            }).map(function (name) {
+                return caches.delete(name);
+            }));
+        }).then(function () {
+            return self.clients.claim();
+        }));
+    });
+
+    self.addEventListener('fetch', function (event) {
+        var request = event.request;
+        var url = new URL(request.url);
+
+        if (request.method !== 'GET' || url.origin !== self.location.origin ||
+          /^\/api(\/|$)/i.test(url.pathname)) {
+            return;  // left to the browser
+        }
+
+        if (request.mode === 'navigate') {
+            event.respondWith(fetch(request).catch(function () {
+                return fromCache(url.pathname).then(function (response) {
+                    return response || fromCache(ERROR_URL);
+                });
+            }));
+        } else if (REVISIONS.hasOwnProperty(url.pathname)) {
+            event.respondWith(fromCache(url.pathname).then(
+                function (response) {
+                    return response || fetch(request);
+                }
+            ));
+        }
+    });
+}());
@@ -29,7 +29,7 @@ what error to send the user and how to log to the environment.
 
 # pylint:disable=bad-continuation
 
-__all__ = ['api', 'other']
+__all__ = ['api', 'other', 'redirect']
 
 import json
 from logging import debug, warn, error
@@ -37,6 +37,16 @@ from re import compile as re
 
 debug("Loading responders in %s package" % __package__)
 
+# headers for each class of response, as built from headers.json
+with open('headers.json', 'r') as _source:
+    _headers = {
+        str(_class): [
+            (str(_name), str(_value))
+            for _name, _value in sorted(_values.items())
+        ]
+        for _class, _values in json.load(_source).items()
+    }
+
 
 def api(environ, start_response):
     """
@@ -60,7 +70,8 @@ def api(environ, start_response):
         error("Nothing suitable; returning 404 error JSON")
         return api.response404
 
-api.headers = [('Content-Type', 'application/json')]
+api.headers = [('Content-Type', 'application/json')] + \
+    _headers.get('api', [])
 
 api.json = lambda message: [json.dumps(
     dict(message=message),
@@ -81,9 +92,8 @@ def other(environ, start_response):
 
     old_path, new_path = get_paths(environ)
     if not new_path:
-        if old_path in other.redirects:
-            new_path = other.redirects[old_path]
-        elif old_path.startswith('/services/'):
+        new_path = find_redirect(old_path)
+        if not new_path and old_path.startswith('/services/'):
             new_path = '/services'
 
     if new_path:
@@ -99,13 +109,8 @@ def other(environ, start_response):
         error("Nothing suitable; returning 404 error page")
         return other.response404
 
-other.headers = [('Content-Type', 'text/html; charset=utf-8')]
-
-with open('redirects.json', 'r') as _source:
-    other.redirects = {
-        str(_old): str(_new)
-        for _old, _new in json.load(_source).items()
-    }
+other.headers = [('Content-Type', 'text/html; charset=utf-8')] + \
+    _headers.get('html', [])
 
 with open(__package__ + '/error404.html', 'r') as _source:
     other.response404 = [_source.read()]
@@ -114,6 +119,69 @@ with open(__package__ + '/redirect.html', 'r') as _source:
     other.template301 = _source.read()
 
 
+def redirect(environ, start_response):
+    """
+    Sends a permanent redirect for a path that the build routed here from
+    redirects.json, or falls back to the usual handling of unresolved
+    requests if it turns out that none applies.
+    """
+
+    new_path = find_redirect(environ.get('PATH_INFO'))
+
+    if new_path:
+        start_response(
+            '301 Moved Permanently',
+            other.headers + [('Location', new_path)],
+        )
+        warn("Website redirect to " + new_path)
+        return [other.template301 % {'path': new_path}]
+
+    else:
+        return other(environ, start_response)
+
+
+def find_redirect(path):
+    """
+    Returns where the given path has moved to according to redirects.json
+    (which has had its chains collapsed by the build), checking the exact
+    entries first and then any `/section/*` entries, longest prefix first.
+    Returns None if the path has not moved.
+    """
+
+    if not path:
+        return None
+
+    if path in find_redirect.exact:
+        return find_redirect.exact[path]
+
+    for old_prefix, new_path in find_redirect.prefixes:
+        if path.startswith(old_prefix) and len(path) > len(old_prefix):
+            if new_path.endswith('/*'):
+                return new_path[:-1] + path[len(old_prefix):]
+            return new_path
+
+    return None
+
+with open('redirects.json', 'r') as _source:
+    _redirects = json.load(_source)
+
+    find_redirect.exact = {
+        str(_old): str(_new)
+        for _old, _new in _redirects.items()
+        if not _old.endswith('/*')
+    }
+
+    find_redirect.prefixes = sorted(
+        [
+            (str(_old[:-1]), str(_new))
+            for _old, _new in _redirects.items()
+            if _old.endswith('/*')
+        ],
+        key=lambda prefix: len(prefix[0]),
+        reverse=True,
+    )
+
+
 def get_paths(environ):
     """
     Attempts to normalize the path from the environment (e.g. removing